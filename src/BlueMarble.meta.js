@@ -17,6 +17,13 @@
 // @grant        GM_getValue
 // @grant        GM_xmlhttpRequest
 // @connect      telemetry.thebluecorner.net
+// @connect      backend.wplace.live
+// @connect      raw.githubusercontent.com
+// @connect      gist.githubusercontent.com
+// @connect      cdn.discordapp.com
+// @connect      media.discordapp.net
+// @connect      i.imgur.com
+// @connect      files.catbox.moe
 // @resource     CSS-BM-File https://raw.githubusercontent.com/SwingTheVine/Wplace-BlueMarble/051271c433a42db968a865b00f81bb979ee7d13f/dist/BlueMarble.user.css
 // ==/UserScript==
 
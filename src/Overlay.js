@@ -431,6 +431,31 @@ export default class Overlay {
     return this;
   }
 
+  /** Adds a `select` to the overlay.
+   * This `select` element will have properties shared between all `select` elements in the overlay.
+   * You can override the shared properties by using a callback.
+   * @param {Object.<string, any>} [additionalProperties={}] - The DOM properties of the `select` that are NOT shared between all overlay `select` elements. These should be camelCase.
+   * @param {function(Overlay, HTMLSelectElement):void} [callback=()=>{}] - Additional JS modification to the `select`.
+   * @returns {Overlay} Overlay class instance (this)
+   * @since 0.85.1
+   * @example
+   * // Assume all <select> elements have a shared class (e.g. {'className': 'bar'})
+   * overlay.addSelect({'id': 'foo'}).buildOverlay(document.body);
+   * // Output:
+   * // (Assume <body> already exists in the webpage)
+   * <body>
+   *   <select id="foo" class="bar"></select>
+   * </body>
+   */
+  addSelect(additionalProperties = {}, callback = () => {}) {
+
+    const properties = {}; // Shared <select> DOM properties
+
+    const select = this.#createElement('select', properties, additionalProperties); // Creates the <select> element
+    callback(this, select); // Runs any script passed in through the callback
+    return this;
+  }
+
   /** Adds a file input to the overlay with enhanced visibility controls.
    * This input element will have properties shared between all file input elements in the overlay.
    * Uses multiple hiding methods to prevent browser native text from appearing during minimize/maximize.
@@ -1,4 +1,6 @@
-import { uint8ToBase64, colorpalette } from "./utils";
+import { uint8ToBase64, colorpalette } from "./utils.js";
+
+let nextTemplateID = 0; // The ID of the next template created. IDs are never reused, unlike storage keys
 
 /** An instance of a template.
  * Handles all mathematics, manipulation, and analysis regarding a single template.
@@ -11,8 +13,10 @@ export default class Template {
    * @param {Object} [params={}] - Object containing all optional parameters
    * @param {string} [params.displayName='My template'] - The display name of the template
    * @param {number} [params.sortID=0] - The sort number of the template for rendering priority
+   * @param {boolean} [params.enabled=true] - Should the template be drawn?
    * @param {string} [params.authorID=''] - The user ID of the person who exported the template (prevents sort ID collisions)
    * @param {string} [params.url=''] - The URL to the source image
+   * @param {string} [params.urlType=''] - What the URL points to. "template" for an image, or "json" for a Blue Marble template file
    * @param {File} [params.file=null] - The template file (pre-processed File or processed bitmap)
    * @param {Array<number>} [params.coords=null] - The coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
    * @param {Object} [params.chunked=null] - The affected chunks of the template, and their template for each chunk
@@ -23,27 +27,41 @@ export default class Template {
   constructor({
     displayName = 'My template',
     sortID = 0,
+    enabled = true,
     authorID = '',
     url = '',
+    urlType = '',
     file = null,
     coords = null,
     chunked = null,
     tileSize = 1000,
   } = {}) {
+    this.id = nextTemplateID++; // Identifies the template while the page is open (e.g. for the pixels cached by the template worker)
     this.displayName = displayName;
     this.sortID = sortID;
+    this.enabled = enabled;
     this.authorID = authorID;
     this.url = url;
+    this.urlType = urlType;
+    this.urlKey = null; // The key of this template inside the Blue Marble template file the URL points to (URL type "json" only)
+    this.urlHash = null; // SHA-256 hash of the file the URL pointed to when the template was last chunked
+    this.urlRefreshMinutes = 0; // How often the URL is fetched again to check for changes. 0 = never
+    this.urlRefreshedAt = 0; // When the URL was last fetched (milliseconds since epoch)
     this.file = file;
     this.coords = coords;
     this.chunked = chunked;
     this.tileSize = tileSize;
     this.pixelCount = 0; // Total pixel count in template
     this.requiredPixelCount = 0; // Total number of non-transparent, non-#deface pixels
-    this.defacePixelCount = 0; // Number of #deface pixels (represents Transparent color in-game)
+    this.defacePixelCount = 0; // Number of #deface pixels (represents Transparent color in-game). These pixels must be erased, not painted
     this.colorPalette = {}; // key: "r,g,b" -> { count: number, enabled: boolean }
     this.tilePrefixes = new Set(); // Set of "xxxx,yyyy" tiles this template touches
     this.storageKey = null; // Key used inside templatesJSON to persist settings
+    this.tileProgress = new Map(); // Tracks per-tile progress stats {painted, required, missing, wrong, checkedAt} of this template
+    this.thumbnail = null; // Cached preview image of the template (Blob)
+    this.opacity = 1; // The opacity the template is drawn at, from 0 to 1
+    this.blend = 'normal'; // How the template is blended. "normal", "grayscale", "yellow-edge", or "highlight-on-hover"
+    this.history = []; // Snapshots of the progress, oldest first, as [time (milliseconds since epoch), painted, missing, wrong]
 
     // Build allowed color set from site palette (exclude special Transparent entry by name)
     // Creates a Set of Wplace palette colors excluding "transparent"
@@ -85,201 +103,308 @@ export default class Template {
   }
 
   /** Creates chunks of the template for each tile.
-   * 
-   * @returns {Object} Collection of template bitmaps & buffers organized by tile coordinates
+   * The pixels are processed by the template worker, so the page stays responsive.
+   * @param {import('./templateWorker.js').default} worker - The worker that processes template pixels
+   * @returns {Promise<{templateTiles: Object<string, ImageBitmap>, templateImage: string}>} The template bitmaps organized by tile coordinates, and the template as a base 64 encoded 1x scale PNG (for storage)
    * @since 0.65.4
    */
-  async createTemplateTiles() {
+  async createTemplateTiles(worker) {
     console.log('Template coordinates:', this.coords);
 
     const shreadSize = 3; // Scale image factor for pixel art enhancement (must be odd)
     const bitmap = await createImageBitmap(this.file); // Create efficient bitmap from uploaded file
-    const imageWidth = bitmap.width;
-    const imageHeight = bitmap.height;
-    
-    // Calculate total pixel count using standard width × height formula
-    // TODO: Use non-transparent pixels instead of basic width times height
-    const totalPixels = imageWidth * imageHeight;
-    console.log(`Template pixel analysis - Dimensions: ${imageWidth}×${imageHeight} = ${totalPixels.toLocaleString()} pixels`);
-    
-    // Store pixel count in instance property for access by template manager and UI components
-    this.pixelCount = totalPixels;
-
-    // ==================== REQUIRED/DEFACE PIXEL COUNTING ====================
-    // Build a 1× scale canvas to inspect original pixels and count required vs deface
-    try {
-      const inspectCanvas = new OffscreenCanvas(imageWidth, imageHeight);
-      const inspectCtx = inspectCanvas.getContext('2d', { willReadFrequently: true });
-      inspectCtx.imageSmoothingEnabled = false;
-      inspectCtx.clearRect(0, 0, imageWidth, imageHeight);
-      inspectCtx.drawImage(bitmap, 0, 0);
-      const inspectData = inspectCtx.getImageData(0, 0, imageWidth, imageHeight).data;
-
-      let required = 0;
-      let deface = 0;
-      const paletteMap = new Map();
-      for (let y = 0; y < imageHeight; y++) {
-        for (let x = 0; x < imageWidth; x++) {
-          const idx = (y * imageWidth + x) * 4;
-          const r = inspectData[idx];
-          const g = inspectData[idx + 1];
-          const b = inspectData[idx + 2];
-          const a = inspectData[idx + 3];
-          if (a === 0) { continue; } // Ignored transparent pixel
-          if (r === 222 && g === 250 && b === 206) { deface++; }
-          const key = this.allowedColorsSet.has(`${r},${g},${b}`) ? `${r},${g},${b}` : 'other';
-          //if (!this.allowedColorsSet.has(key)) { continue; } // Skip non-palette colors (but #deface added to allowed)
-          required++;
-          paletteMap.set(key, (paletteMap.get(key) || 0) + 1);
-        }
-      }
 
-      this.requiredPixelCount = required;
-      this.defacePixelCount = deface;
+    console.log(`Template pixel analysis - Dimensions: ${bitmap.width}×${bitmap.height} = ${(bitmap.width * bitmap.height).toLocaleString()} pixels`);
 
-      // Persist palette with all colors enabled by default
+    // Chunks the template, and counts the required/deface pixels (the bitmap is handed over to the worker)
+    const { pixelCount, requiredPixelCount, defacePixelCount, palette, tiles, image } = await worker.run('chunk', {
+      bitmap,
+      coords: this.coords,
+      tileSize: this.tileSize,
+      shreadSize,
+      allowedColors: [...this.allowedColorsSet]
+    }, [bitmap]);
+
+    // Store pixel counts in instance properties for access by template manager and UI components
+    this.pixelCount = pixelCount;
+    this.requiredPixelCount = requiredPixelCount;
+    this.defacePixelCount = defacePixelCount;
+
+    // Persist palette with all colors enabled by default
+    if (Object.keys(palette).length > 0) {
       const paletteObj = {};
-      for (const [key, count] of paletteMap.entries()) {
+      for (const [key, count] of Object.entries(palette)) {
         paletteObj[key] = { count, enabled: true };
       }
       this.colorPalette = paletteObj;
-    } catch (err) {
-      // Fail-safe: if OffscreenCanvas not available or any error, fall back to width×height
-      this.requiredPixelCount = Math.max(0, this.pixelCount);
-      this.defacePixelCount = 0;
-      console.warn('Failed to compute required/deface counts. Falling back to total pixels.', err);
     }
 
     const templateTiles = {}; // Holds the template tiles
-    const templateTilesBuffers = {}; // Holds the buffers of the template tiles
-
-    const canvas = new OffscreenCanvas(this.tileSize, this.tileSize);
-    const context = canvas.getContext('2d', { willReadFrequently: true });
-
-    // For every tile...
-    for (let pixelY = this.coords[3]; pixelY < imageHeight + this.coords[3]; ) {
-
-      // Draws the partial tile first, if any
-      // This calculates the size based on which is smaller:
-      // A. The top left corner of the current tile to the bottom right corner of the current tile
-      // B. The top left corner of the current tile to the bottom right corner of the image
-      const drawSizeY = Math.min(this.tileSize - (pixelY % this.tileSize), imageHeight - (pixelY - this.coords[3]));
-
-      console.log(`Math.min(${this.tileSize} - (${pixelY} % ${this.tileSize}), ${imageHeight} - (${pixelY - this.coords[3]}))`);
-
-      for (let pixelX = this.coords[2]; pixelX < imageWidth + this.coords[2];) {
-
-        console.log(`Pixel X: ${pixelX}\nPixel Y: ${pixelY}`);
-
-        // Draws the partial tile first, if any
-        // This calculates the size based on which is smaller:
-        // A. The top left corner of the current tile to the bottom right corner of the current tile
-        // B. The top left corner of the current tile to the bottom right corner of the image
-        const drawSizeX = Math.min(this.tileSize - (pixelX % this.tileSize), imageWidth - (pixelX - this.coords[2]));
-
-        console.log(`Math.min(${this.tileSize} - (${pixelX} % ${this.tileSize}), ${imageWidth} - (${pixelX - this.coords[2]}))`);
-
-        console.log(`Draw Size X: ${drawSizeX}\nDraw Size Y: ${drawSizeY}`);
-
-        // Change the canvas size and wipe the canvas
-        const canvasWidth = drawSizeX * shreadSize;// + (pixelX % this.tileSize) * shreadSize;
-        const canvasHeight = drawSizeY * shreadSize;// + (pixelY % this.tileSize) * shreadSize;
-        canvas.width = canvasWidth;
-        canvas.height = canvasHeight;
-
-        console.log(`Draw X: ${drawSizeX}\nDraw Y: ${drawSizeY}\nCanvas Width: ${canvasWidth}\nCanvas Height: ${canvasHeight}`);
-
-        context.imageSmoothingEnabled = false; // Nearest neighbor
-
-        console.log(`Getting X ${pixelX}-${pixelX + drawSizeX}\nGetting Y ${pixelY}-${pixelY + drawSizeY}`);
-
-        // Draws the template segment on this tile segment
-        context.clearRect(0, 0, canvasWidth, canvasHeight); // Clear any previous drawing (only runs when canvas size does not change)
-        context.drawImage(
-          bitmap, // Bitmap image to draw
-          pixelX - this.coords[2], // Coordinate X to draw from
-          pixelY - this.coords[3], // Coordinate Y to draw from
-          drawSizeX, // X width to draw from
-          drawSizeY, // Y height to draw from
-          0, // Coordinate X to draw at
-          0, // Coordinate Y to draw at
-          drawSizeX * shreadSize, // X width to draw at
-          drawSizeY * shreadSize // Y height to draw at
-        ); // Coordinates and size of draw area of source image, then canvas
-
-        // const final = await canvas.convertToBlob({ type: 'image/png' });
-        // const url = URL.createObjectURL(final); // Creates a blob URL
-        // window.open(url, '_blank'); // Opens a new tab with blob
-        // setTimeout(() => URL.revokeObjectURL(url), 60000); // Destroys the blob 1 minute later
-
-        const imageData = context.getImageData(0, 0, canvasWidth, canvasHeight); // Data of the image on the canvas
-
-        for (let y = 0; y < canvasHeight; y++) {
-          for (let x = 0; x < canvasWidth; x++) {
-            // For every pixel...
-            const pixelIndex = (y * canvasWidth + x) * 4; // Find the pixel index in an array where every 4 indexes are 1 pixel
-            // If the pixel is the color #deface, draw a translucent gray checkerboard pattern
-            if (
-              imageData.data[pixelIndex] === 222 &&
-              imageData.data[pixelIndex + 1] === 250 &&
-              imageData.data[pixelIndex + 2] === 206
-            ) {
-              if ((x + y) % 2 === 0) { // Formula for checkerboard pattern
-                imageData.data[pixelIndex] = 0;
-                imageData.data[pixelIndex + 1] = 0;
-                imageData.data[pixelIndex + 2] = 0;
-              } else {
-                imageData.data[pixelIndex] = 255;
-                imageData.data[pixelIndex + 1] = 255;
-                imageData.data[pixelIndex + 2] = 255;
-              }
-              imageData.data[pixelIndex + 3] = 32; // Make it translucent
-            } else if (x % shreadSize !== 1 || y % shreadSize !== 1) { // Otherwise only draw the middle pixel
-              imageData.data[pixelIndex + 3] = 0; // Make the pixel transparent on the alpha channel
-            } else {
-              // Center pixel: keep only if in allowed site palette
-              const r = imageData.data[pixelIndex];
-              const g = imageData.data[pixelIndex + 1];
-              const b = imageData.data[pixelIndex + 2];
-              if (!this.allowedColorsSet.has(`${r},${g},${b}`)) {
-                //imageData.data[pixelIndex + 3] = 0; // hide non-palette colors
-              }
-            }
-          }
+    const templateImage = uint8ToBase64(new Uint8Array(image)); // Holds the 1x image, for storage
+
+    for (const { name, bitmap: tileBitmap } of tiles) {
+      templateTiles[name] = tileBitmap;
+
+      // Record tile prefix for fast lookup later
+      this.tilePrefixes.add(name.split(',').slice(0,2).join(','));
+    }
+
+    console.log('Template Tiles: ', templateTiles);
+    return { templateTiles, templateImage };
+  }
+
+  /** Finds the coordinates of the top left corner of the template from the names of the chunked template tiles.
+   * Each tile name is "tileX,tileY,pixelX,pixelY" of the top left corner of that chunk, so the smallest global coordinates are the template's corner.
+   * @returns {Array<number>|null} The coordinates as (tileX, tileY, pixelX, pixelY), or null if there are no tiles
+   * @since 0.85.7
+   */
+  getCoordsFromTiles() {
+
+    const tileNames = Object.keys(this.chunked || {});
+
+    if (tileNames.length == 0) {return null;} // Kills itself if there are no tiles
+
+    let minX = Infinity;
+    let minY = Infinity;
+    for (const tileName of tileNames) {
+      const [tileX, tileY, pixelX, pixelY] = tileName.split(',').map(Number);
+      minX = Math.min(minX, tileX * this.tileSize + pixelX);
+      minY = Math.min(minY, tileY * this.tileSize + pixelY);
+    }
+
+    return [Math.floor(minX / this.tileSize), Math.floor(minY / this.tileSize), minX % this.tileSize, minY % this.tileSize];
+  }
+
+  /** Rebuilds the original (1x scale) template image from the chunked template tiles.
+   * Only the center pixel of each shread block is read, since that is the only pixel that keeps the template color.
+   * @returns {Promise<{canvas: OffscreenCanvas, coords: Array<number>}|null>} The 1x image, and the coordinates of its top left corner as (tileX, tileY, pixelX, pixelY). Null if there are no tiles
+   * @since 0.85.2
+   */
+  async createImageFromTiles() {
+
+    const tiles = Object.entries(this.chunked || {});
+
+    if (tiles.length == 0) {return null;} // Kills itself if there are no tiles
+
+    const shreadSize = 3; // The scale the tiles were shreaded at
+
+    // Finds the bounds of the template in global pixel coordinates
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    const placedTiles = tiles.map(([tileName, bitmap]) => {
+      const [tileX, tileY, pixelX, pixelY] = tileName.split(',').map(Number);
+      const x = tileX * this.tileSize + pixelX; // Global X coordinate of the tile's top left corner
+      const y = tileY * this.tileSize + pixelY; // Global Y coordinate of the tile's top left corner
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x + Math.floor(bitmap.width / shreadSize));
+      maxY = Math.max(maxY, y + Math.floor(bitmap.height / shreadSize));
+      return { x, y, bitmap };
+    });
+
+    const width = maxX - minX;
+    const height = maxY - minY;
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d', { 'willReadFrequently': true });
+    const image = context.createImageData(width, height);
+
+    for (const { x, y, bitmap } of placedTiles) {
+
+      const tileCanvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const tileContext = tileCanvas.getContext('2d', { 'willReadFrequently': true });
+      tileContext.drawImage(bitmap, 0, 0);
+      const tileData = tileContext.getImageData(0, 0, bitmap.width, bitmap.height).data;
+
+      // For every shread block in the tile...
+      for (let blockY = 0; blockY < Math.floor(bitmap.height / shreadSize); blockY++) {
+        for (let blockX = 0; blockX < Math.floor(bitmap.width / shreadSize); blockX++) {
+
+          const tileIndex = ((blockY * shreadSize + 1) * bitmap.width + (blockX * shreadSize + 1)) * 4; // Center pixel of the shread block
+          const imageIndex = ((y - minY + blockY) * width + (x - minX + blockX)) * 4;
+
+          // #deface pixels are stored as a translucent black and white checkerboard.
+          // The center pixel is black or white, depending on where the shread block is on the checkerboard
+          const [r, g, b, a] = tileData.subarray(tileIndex, tileIndex + 4);
+          const isDeface = a == 32 && r == g && g == b && (r == 0 || r == 255);
+
+          image.data[imageIndex] = isDeface ? 222 : tileData[tileIndex];
+          image.data[imageIndex + 1] = isDeface ? 250 : tileData[tileIndex + 1];
+          image.data[imageIndex + 2] = isDeface ? 206 : tileData[tileIndex + 2];
+          image.data[imageIndex + 3] = isDeface ? 255 : tileData[tileIndex + 3];
         }
+      }
+    }
+
+    context.putImageData(image, 0, 0);
+
+    const coords = [Math.floor(minX / this.tileSize), Math.floor(minY / this.tileSize), minX % this.tileSize, minY % this.tileSize];
+
+    return { canvas, coords };
+  }
+
+  /** Creates a small preview image of the template.
+   * The thumbnail is cached, so it is only created once.
+   * @param {number} [size=48] - The maximum width and height of the thumbnail
+   * @returns {Promise<Blob|null>} The thumbnail as a PNG blob, or null if the template has no tiles
+   * @since 0.85.2
+   */
+  async createThumbnail(size = 48) {
 
-        console.log(`Shreaded pixels for ${pixelX}, ${pixelY}`, imageData);
+    if (this.thumbnail) {return this.thumbnail;} // Returns the cached thumbnail
 
-        context.putImageData(imageData, 0, 0);
+    const image = await this.createImageFromTiles();
 
-        // Creates the "0000,0000,000,000" key name
-        const templateTileName = `${(this.coords[0] + Math.floor(pixelX / 1000))
-          .toString()
-          .padStart(4, '0')},${(this.coords[1] + Math.floor(pixelY / 1000))
-          .toString()
-          .padStart(4, '0')},${(pixelX % 1000)
-          .toString()
-          .padStart(3, '0')},${(pixelY % 1000).toString().padStart(3, '0')}`;
+    if (!image) {return null;} // Kills itself if there is nothing to preview
 
-        templateTiles[templateTileName] = await createImageBitmap(canvas); // Creates the bitmap
-        // Record tile prefix for fast lookup later
-        this.tilePrefixes.add(templateTileName.split(',').slice(0,2).join(','));
-        
-        const canvasBlob = await canvas.convertToBlob();
-        const canvasBuffer = await canvasBlob.arrayBuffer();
-        const canvasBufferBytes = Array.from(new Uint8Array(canvasBuffer));
-        templateTilesBuffers[templateTileName] = uint8ToBase64(canvasBufferBytes); // Stores the buffer
+    const scale = Math.min(size / image.canvas.width, size / image.canvas.height);
+    const width = Math.max(1, Math.round(image.canvas.width * scale));
+    const height = Math.max(1, Math.round(image.canvas.height * scale));
 
-        console.log(templateTiles);
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingEnabled = scale < 1; // Smooth when shrinking, nearest neighbor when enlarging
+    context.drawImage(image.canvas, 0, 0, width, height);
 
-        pixelX += drawSizeX;
+    this.thumbnail = await canvas.convertToBlob({ type: 'image/png' });
+    return this.thumbnail;
+  }
+
+  /** Adds a snapshot of the current progress to the history of the template.
+   * A snapshot is only taken when every tile of the template has been checked, since a partial check would make the history jump around.
+   * @param {number} [interval=300000] - The minimum time between snapshots, in milliseconds
+   * @returns {boolean} Was a snapshot added?
+   * @since 0.85.15
+   */
+  recordProgressSnapshot(interval = 300000) {
+
+    const { painted, missing, wrong, checkedTiles, totalTiles } = this.getProgress();
+
+    if (totalTiles == 0 || checkedTiles < totalTiles) {return false;} // Kills itself if some tiles were not checked
+
+    const now = Date.now();
+    if (now - (this.history.at(-1)?.[0] ?? 0) < interval) {return false;} // Kills itself if the last snapshot is too recent
+
+    this.history.push([now, painted, missing, wrong]);
+
+    // Forgets snapshots older than a week
+    const oldest = now - 7 * 24 * 60 * 60 * 1000;
+    while (this.history.length && this.history[0][0] < oldest) {this.history.shift();}
+
+    return true;
+  }
+
+  /** Calculates how fast the template is being painted and griefed, from the history of the template.
+   * @param {number} [duration=86400000] - How far back to look, in milliseconds
+   * @returns {{paintedPerHour: number, lostPerHour: number, netPerHour: number, eta: number|null, snapshots: Array<Array<number>>}|null} Pixels painted per hour, correct pixels lost per hour (griefing), the net change per hour, the milliseconds until the template is complete at the net rate (null if it is not getting closer), and the snapshots used. Null if there are not enough snapshots
+   * @since 0.85.15
+   */
+  getHistoryStats(duration = 86400000) {
+
+    const since = Date.now() - duration;
+    const snapshots = this.history.filter(([time]) => time >= since);
+
+    if (snapshots.length < 2) {return null;} // Kills itself if there is nothing to compare
+
+    let gained = 0; // Correct pixels gained between snapshots
+    let lost = 0; // Correct pixels lost between snapshots
+    for (let index = 1; index < snapshots.length; index++) {
+      const change = snapshots[index][1] - snapshots[index - 1][1];
+      if (change > 0) {gained += change;} else {lost -= change;}
+    }
+
+    const hours = (snapshots.at(-1)[0] - snapshots[0][0]) / 3600000;
+    const netPerHour = (gained - lost) / hours;
+    const [, , missing, wrong] = snapshots.at(-1);
+
+    return {
+      paintedPerHour: gained / hours,
+      lostPerHour: lost / hours,
+      netPerHour,
+      eta: netPerHour > 0 ? ((missing + wrong) / netPerHour) * 3600000 : null,
+      snapshots
+    };
+  }
+
+  /** Sums the progress of each color of this template, over every tile that has been checked.
+   * Like {@link getProgress}, required pixels on tiles that were never checked are counted as missing.
+   * @returns {Object<string, {painted: number, required: number, missing: number, wrong: number, erase: number, erased: number}>} The progress of each color, by palette key. Only the #deface key has "erase" pixels
+   * @since 0.85.13
+   */
+  getColorProgress() {
+
+    const colors = {};
+
+    for (const stats of this.tileProgress.values()) {
+      for (const [key, colorStats] of Object.entries(stats.colors || {})) {
+        const color = colors[key] ??= { painted: 0, required: 0, missing: 0, wrong: 0, erase: 0, erased: 0 };
+        color.painted += colorStats.painted;
+        color.required += colorStats.required;
+        color.missing += colorStats.missing;
+        color.wrong += colorStats.wrong;
+        color.erase += colorStats.erase || 0;
+        color.erased += colorStats.erased || 0;
       }
+    }
 
-      pixelY += drawSizeY;
+    // Adds the pixels of the tiles that were not checked
+    for (const [key, meta] of Object.entries(this.colorPalette)) {
+      const color = colors[key] ??= { painted: 0, required: 0, missing: 0, wrong: 0, erase: 0, erased: 0 };
+
+      // #deface pixels must be erased, not painted. Unchecked ones are counted as not erased
+      if (key == '222,250,206') {
+        color.erase += Math.max(0, (meta?.count || 0) - color.erase);
+        continue;
+      }
+
+      const uncheckedRequired = Math.max(0, (meta?.count || 0) - color.required);
+      color.required += uncheckedRequired;
+      color.missing += uncheckedRequired;
     }
 
-    console.log('Template Tiles: ', templateTiles);
-    console.log('Template Tiles Buffers: ', templateTilesBuffers);
-    return { templateTiles, templateTilesBuffers };
+    return colors;
+  }
+
+  /** Sums the progress of every tile of this template that has been checked.
+   * Required pixels on tiles that were never checked are counted as missing, since it is not known if they are painted.
+   * #deface pixels are counted apart from the required pixels, as "erase" pixels. The "erased" ones have nothing painted on them, and the rest are "wrong" (or were never checked).
+   * @returns {{painted: number, required: number, missing: number, wrong: number, erase: number, erased: number, checkedTiles: number, totalTiles: number, checkedAt: number|null}} The progress of the template, how many of its tiles were checked, and when the least recently checked tile was checked (milliseconds since epoch)
+   * @since 0.85.2
+   */
+  getProgress() {
+
+    let painted = 0;
+    let required = 0;
+    let missing = 0;
+    let wrong = 0;
+    let erased = 0;
+    let checkedAt = null;
+
+    for (const stats of this.tileProgress.values()) {
+      painted += stats.painted || 0;
+      required += stats.required || 0;
+      missing += stats.missing || 0;
+      wrong += stats.wrong || 0;
+      erased += stats.erased || 0;
+      checkedAt = Math.min(checkedAt ?? Infinity, stats.checkedAt ?? Infinity);
+    }
+
+    // Adds the required pixels of the tiles that were not checked
+    const uncheckedRequired = Math.max(0, this.requiredPixelCount - required);
+    required += uncheckedRequired;
+    missing += uncheckedRequired;
+
+    return {
+      painted,
+      required,
+      missing,
+      wrong,
+      erase: this.defacePixelCount, // #deface pixels on tiles that were not checked are counted as not erased
+      erased,
+      checkedTiles: this.tileProgress.size,
+      totalTiles: this.tilePrefixes.size,
+      checkedAt: Number.isFinite(checkedAt) ? checkedAt : null
+    };
   }
 }
@@ -18,6 +18,7 @@ export default class ApiManager {
     this.disableAll = false; // Should the entire userscript be disabled?
     this.coordsTilePixel = []; // Contains the last detected tile/pixel coordinate pair requested
     this.templateCoordsTilePixel = []; // Contains the last "enabled" template coords
+    this.inspectedPixel = ''; // The last pixel clicked, so an older inspection does not replace a newer one
   }
 
   /** Determines if the spontaneously received response is something we want.
@@ -72,6 +73,9 @@ export default class ApiManager {
             ));
           }
           this.templateManager.userID = dataJSON['id'];
+          this.templateManager.setOwnedColors(dataJSON['extraColorsBitmap']); // The premium colors the user bought
+          this.templateManager.droplets = dataJSON['droplets'];
+          this.templateManager.setCharges(dataJSON['charges']); // The charges the user has, and how fast they are given
           
           overlay.updateInnerHTML('bm-user-name', `Username: <b>${escapeHTML(dataJSON['name'])}</b>`); // Updates the text content of the username field
           overlay.updateInnerHTML('bm-user-droplets', `Droplets: <b>${new Intl.NumberFormat().format(dataJSON['droplets'])}</b>`); // Updates the text content of the droplets field
@@ -114,6 +118,8 @@ export default class ApiManager {
               }
             }
           }
+
+          this.inspectPixel(coordsTile, coordsPixel);
           break;
         
         case 'tiles':
@@ -122,6 +128,10 @@ export default class ApiManager {
           let tileCoordsTile = data['endpoint'].split('/');
           tileCoordsTile = [parseInt(tileCoordsTile[tileCoordsTile.length - 2]), parseInt(tileCoordsTile[tileCoordsTile.length - 1].replace('.png', ''))];
           
+          // Remembers where tiles are downloaded from, so every tile of a template can be checked later
+          const tileURL = new URL(data['endpoint'], window.location.href);
+          this.templateManager.tileURL = `${tileURL.origin}${tileURL.pathname.replace(/\d+\/\d+\.png$/, '{x}/{y}.png')}`;
+
           const blobUUID = data['blobID'];
           const blobData = data['blobData'];
           
@@ -247,4 +257,72 @@ export default class ApiManager {
 
     return "Unknown";
   }
+
+  /** Shows the pixel inspector under the coordinates of the clicked pixel.
+   * The inspector compares the pixel on the board with the color each template expects there.
+   * @param {Array<string>} coordsTile - The tile of the pixel, as [x, y]
+   * @param {Array<string>} coordsPixel - The pixel in the tile, as [x, y]
+   * @since 0.85.25
+   */
+  async inspectPixel(coordsTile, coordsPixel) {
+
+    const pixel = [...coordsTile, ...coordsPixel].join(',');
+    this.inspectedPixel = pixel;
+
+    let inspection;
+    try {
+      inspection = await this.templateManager.inspectPixel(coordsTile, coordsPixel);
+    } catch (error) {
+      consoleError('Failed to inspect the pixel:', error);
+      return;
+    }
+
+    // Kills itself if another pixel was clicked while this one was inspected, or the coordinates are not shown
+    const displayCoords = document.querySelector('#bm-display-coords');
+    if (this.inspectedPixel != pixel || !displayCoords) {return;}
+
+    let inspector = document.querySelector('#bm-display-inspector');
+    if (!inspector) {
+      inspector = document.createElement('div');
+      inspector.id = 'bm-display-inspector';
+      inspector.style = 'margin-left: calc(var(--spacing)*3); font-size: small;';
+    }
+    displayCoords.insertAdjacentElement('afterend', inspector); // Follows the coordinates, even if the website moved them
+    inspector.replaceChildren();
+
+    // Adds one line to the inspector, as a color swatch and text
+    const addLine = (color, text) => {
+      const line = document.createElement('div');
+      const swatch = document.createElement('span');
+      swatch.style = 'display: inline-block; width: 1em; height: 1em; margin-right: 0.5ch; vertical-align: middle; border: 1px solid rgba(0, 0, 0, 0.3);';
+      swatch.style.background = (!color || color.id === 0) ? 'repeating-conic-gradient(#aaa 0 25%, #fff 0 50%) 50% / 6px 6px' // Checkerboard, like the #deface pixels are drawn
+        : color.key == 'other' ? '#888' : `rgb(${color.key})`;
+      line.append(swatch, text);
+      inspector.appendChild(line);
+    };
+    const colorName = (color) => color.id != null ? `#${color.id} ${color.premium ? '★ ' : ''}${color.name}` : color.name;
+
+    addLine(inspection.board, `Board: ${inspection.board ? colorName(inspection.board) : 'Unknown'}`);
+
+    if (inspection.templates.length == 0) {
+      addLine(null, 'No template covers this pixel');
+    }
+    for (const template of inspection.templates) {
+      const mark = template.correct == null ? '?' : (template.correct ? '✔' : '✘');
+      addLine(template.expected, `${mark} ${template.name}${template.enabled ? '' : ' (disabled)'}: ${colorName(template.expected)}`);
+    }
+
+    const copy = document.createElement('button');
+    copy.textContent = 'Copy coords';
+    copy.style = 'text-decoration: underline;';
+    copy.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(`${coordsTile.join(', ')}, ${coordsPixel.join(', ')}`); // Pastes into the coordinate fields as (Tl X, Tl Y, Px X, Px Y)
+        copy.textContent = 'Copied!';
+      } catch (error) {
+        copy.textContent = 'Could not copy';
+      }
+    });
+    inspector.appendChild(copy);
+  }
 }
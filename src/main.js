@@ -6,7 +6,7 @@ import Overlay from './Overlay.js';
 import Observers from './observers.js';
 import ApiManager from './apiManager.js';
 import TemplateManager from './templateManager.js';
-import { consoleLog, consoleWarn, selectAllCoordinateInputs } from './utils.js';
+import { consoleLog, consoleWarn, downloadBlob, estimatePaintCost, formatDuration, selectAllCoordinateInputs, tilePixelToLatLng } from './utils.js';
 
 const name = GM_info.script.name.toString(); // Name of userscript
 const version = GM_info.script.version.toString(); // Version of userscript
@@ -67,12 +67,40 @@ inject(() => {
     }
   });
 
+  let pendingJump = null; // The tile the map should fetch after a jump, and the timer that reloads the page if it does not
+
+  // Moves the map to a place without reloading the page, by navigating to the URL of the place like the website's own links do.
+  // If the map does not fetch the tile of the place soon after, the website did not follow the URL, so the page is loaded at the URL instead
+  window.addEventListener('message', (event) => {
+    if (event.source !== window) {return;} // Only messages from this window can move the map
+    const { source, bmEvent, lat, lng, zoom, tileX, tileY } = event.data || {};
+    if (source != 'blue-marble' || bmEvent != 'bm-jump') {return;}
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('lat', lat);
+    url.searchParams.set('lng', lng);
+    url.searchParams.set('zoom', zoom);
+
+    clearTimeout(pendingJump?.timer);
+    pendingJump = { tile: `/${tileX}/${tileY}.png`, timer: setTimeout(() => {window.location.href = url.href;}, 3000) };
+
+    history.pushState(history.state, '', url.href);
+    window.dispatchEvent(new PopStateEvent('popstate', { state: history.state }));
+  });
+
   // Spys on "spontaneous" fetch requests made by the client
   const originalFetch = window.fetch; // Saves a copy of the original fetch
 
   // Overrides fetch
   window.fetch = async function(...args) {
 
+    // The map fetched the tile it was jumped to, so the page does not need to be loaded again
+    const requestURL = String(((args[0] instanceof Request) ? args[0]?.url : args[0]) || '');
+    if (pendingJump && requestURL.includes(pendingJump.tile)) {
+      clearTimeout(pendingJump.timer);
+      pendingJump = null;
+    }
+
     const response = await originalFetch.apply(this, args); // Sends a fetch
     const cloned = response.clone(); // Makes a copy of the response
 
@@ -181,9 +209,8 @@ const apiManager = new ApiManager(templateManager); // Constructs a new ApiManag
 
 overlayMain.setApiManager(apiManager); // Sets the API manager
 
-const storageTemplates = JSON.parse(GM_getValue('bmTemplates', '{}'));
-console.log(storageTemplates);
-templateManager.importJSON(storageTemplates); // Loads the templates
+templateManager.loadStoredTemplates(); // Loads the templates, upgrading them if they use an older schema
+templateManager.startURLRefresh(); // Keeps templates created from a URL up to date
 
 const userSettings = JSON.parse(GM_getValue('bmUserSettings', '{}')); // Loads the user settings
 console.log(userSettings);
@@ -197,6 +224,11 @@ if (Object.keys(userSettings).length == 0) {
 }
 setInterval(() => apiManager.sendHeartbeat(version), 1000 * 60 * 30); // Sends a heartbeat every 30 minutes
 
+templateManager.setRenderMode(userSettings?.['renderMode']); // Draws the templates the way the user last chose
+templateManager.setRenderStyle(userSettings?.['renderStyle']);
+templateManager.setDamageAlert(userSettings?.['damageAlert']); // Alerts about damage the way the user last chose
+templateManager.setChargeAlert(userSettings?.['chargeAlert']); // Alerts about charges the way the user last chose
+
 console.log(`Telemetry is ${!(userSettings?.telemetry == undefined)}`);
 if ((userSettings?.telemetry == undefined) || (userSettings?.telemetry > 1)) { // Increment 1 to retrigger telemetry notice
   const telemetryOverlay = new Overlay(name, version);
@@ -208,6 +240,10 @@ buildOverlayMain(); // Builds the main overlay
 
 overlayMain.handleDrag('#bm-overlay', '#bm-bar-drag'); // Creates dragging capability on the drag bar for dragging the overlay
 
+buildOverlayTabTemplate(); // Builds the template manager panel (hidden until opened)
+
+overlayTabTemplate.handleDrag('#bm-overlay-template', '#bm-bar-drag-template'); // Creates dragging capability on the drag bar for dragging the template panel
+
 apiManager.spontaneousResponseListener(overlayMain); // Reads spontaneous fetch responces
 
 observeBlack(); // Observes the black palette color
@@ -327,6 +363,8 @@ function buildOverlayMain() {
               '#bm-overlay hr',                    // Visual separator lines
               '#bm-contain-automation > *:not(#bm-contain-coords)', // Automation section excluding coordinates
               '#bm-input-file-template',           // Template file upload interface
+              '#bm-contain-transform',             // Template resize and crop tool (hidden until opened with its button)
+              '#bm-contain-convert',               // Template color converter (hidden until opened with its button)
               '#bm-contain-buttons-action',        // Action buttons container
               `#${instance.outputStatusId}`,       // Status log textarea for user feedback
               '#bm-contain-colorfilter'            // Color filter UI
@@ -483,7 +521,46 @@ function buildOverlayMain() {
     .addDiv({'id': 'bm-contain-userinfo'})
       .addP({'id': 'bm-user-name', 'textContent': 'Username:'}).buildElement()
       .addP({'id': 'bm-user-droplets', 'textContent': 'Droplets:'}).buildElement()
+      .addP({'id': 'bm-user-charges', 'textContent': 'Charges:'}).buildElement()
+      .addDiv({'id': 'bm-contain-charge-alert'})
+        .addCheckbox({'id': 'bm-checkbox-charge-alert', 'textContent': 'Alert at', 'title': 'Alert when you have this many charges', 'checked': templateManager.chargeAlert.enabled}, (instance, label, checkbox) => {
+          checkbox.addEventListener('change', () => {
+            templateManager.setChargeAlert({ enabled: checkbox.checked });
+            saveChargeAlert();
+          });
+        }).buildElement()
+        .addInput({'type': 'number', 'id': 'bm-input-charge-threshold', 'title': 'How many charges you must have before alerting. Empty = full', 'placeholder': 'full', 'min': 0, 'step': 1, 'value': templateManager.chargeAlert.threshold || ''}, (instance, input) => {
+          input.addEventListener('change', () => {
+            templateManager.setChargeAlert({ threshold: input.value || 0 });
+            saveChargeAlert();
+          });
+        }).buildElement()
+        .addCheckbox({'id': 'bm-checkbox-charge-notification', 'textContent': 'Desktop', 'title': 'Alert with a desktop notification', 'checked': templateManager.chargeAlert.notification}, (instance, label, checkbox) => {
+          checkbox.addEventListener('change', async () => {
+            // The website must be allowed to show notifications first
+            if (checkbox.checked && window.Notification?.permission != 'granted') {
+              checkbox.checked = (await window.Notification?.requestPermission()) == 'granted';
+              if (!checkbox.checked) {instance.handleDisplayError(`Notifications are blocked! Allow notifications for this website to use desktop alerts.`);}
+            }
+            templateManager.setChargeAlert({ notification: checkbox.checked });
+            saveChargeAlert();
+          });
+        }).buildElement()
+        .addCheckbox({'id': 'bm-checkbox-charge-sound', 'textContent': 'Sound', 'title': 'Alert with a sound', 'checked': templateManager.chargeAlert.sound}, (instance, label, checkbox) => {
+          checkbox.addEventListener('change', () => {
+            templateManager.setChargeAlert({ sound: checkbox.checked });
+            saveChargeAlert();
+          });
+        }).buildElement()
+        .addCheckbox({'id': 'bm-checkbox-charge-title', 'textContent': 'Tab', 'title': 'Mark the title of the tab until you look at it', 'checked': templateManager.chargeAlert.title}, (instance, label, checkbox) => {
+          checkbox.addEventListener('change', () => {
+            templateManager.setChargeAlert({ title: checkbox.checked });
+            saveChargeAlert();
+          });
+        }).buildElement()
+      .buildElement()
       .addP({'id': 'bm-user-nextlevel', 'textContent': 'Next level in...'}).buildElement()
+      .addSmall({'id': 'bm-user-plan', 'title': 'How long the enabled templates take to paint with your charges'}).buildElement()
     .buildElement()
 
     .addHr().buildElement()
@@ -551,29 +628,132 @@ function buildOverlayMain() {
       .buildElement()
       // Color filter UI
       .addDiv({'id': 'bm-contain-colorfilter', 'style': 'max-height: 140px; overflow: auto; border: 1px solid rgba(255,255,255,0.1); padding: 4px; border-radius: 4px; display: none;'})
+        .addSelect({'id': 'bm-select-colorfilter-template', 'title': 'The template whose colors are listed', 'style': 'width: 100%; margin-bottom: 6px; background-color: rgba(0, 0, 0, 0.2);'}, (instance, select) => {
+          select.addEventListener('change', () => buildColorFilterList());
+        }).buildElement()
         .addDiv({'style': 'display: flex; gap: 6px; margin-bottom: 6px;'})
           .addButton({'id': 'bm-button-colors-enable-all', 'textContent': 'Enable All'}, (instance, button) => {
             button.onclick = () => {
-              const t = templateManager.templatesArray[0];
+              const t = getColorFilterTemplate();
               if (!t?.colorPalette) { return; }
               Object.values(t.colorPalette).forEach(v => v.enabled = true);
+              templateManager.saveTemplate(t);
               buildColorFilterList();
               instance.handleDisplayStatus('Enabled all colors');
             };
           }).buildElement()
           .addButton({'id': 'bm-button-colors-disable-all', 'textContent': 'Disable All'}, (instance, button) => {
             button.onclick = () => {
-              const t = templateManager.templatesArray[0];
+              const t = getColorFilterTemplate();
               if (!t?.colorPalette) { return; }
               Object.values(t.colorPalette).forEach(v => v.enabled = false);
+              templateManager.saveTemplate(t);
               buildColorFilterList();
               instance.handleDisplayStatus('Disabled all colors');
             };
           }).buildElement()
+          .addButton({'id': 'bm-button-colors-owned', 'textContent': 'Only Mine', 'title': 'Only show the colors you can paint'}, (instance, button) => {
+            button.onclick = () => {
+              const t = getColorFilterTemplate();
+              if (!t?.colorPalette) { return; }
+              if (!templateManager.ownedColorIDs) { instance.handleDisplayError('Your colors are not known yet!\nTry reloading the page while logged in.'); return; }
+              Object.entries(t.colorPalette).forEach(([rgb, v]) => v.enabled = templateManager.isColorOwned(rgb));
+              templateManager.saveTemplate(t);
+              buildColorFilterList();
+              instance.handleDisplayStatus('Showing only the colors you can paint');
+            };
+          }).buildElement()
+          .addSelect({'id': 'bm-select-colorfilter-sort', 'title': 'How the colors are sorted', 'style': 'background-color: rgba(0, 0, 0, 0.2);'}, (instance, select) => {
+            select.add(new Option('Most pixels', 'count'));
+            select.add(new Option('Most remaining', 'remaining'));
+            select.addEventListener('change', () => buildColorFilterList());
+          }).buildElement()
         .buildElement()
+        .addSmall({'id': 'bm-colorfilter-blocked', 'hidden': true}).buildElement()
         .addDiv({'id': 'bm-colorfilter-list'}).buildElement()
       .buildElement()
-      .addInputFile({'id': 'bm-input-file-template', 'textContent': 'Upload Template', 'accept': 'image/png, image/jpeg, image/webp, image/bmp, image/gif'}).buildElement()
+      .addInputFile({'id': 'bm-input-file-template', 'textContent': 'Upload Template', 'accept': 'image/png, image/jpeg, image/webp, image/bmp, image/gif'}, (instance, container, input) => {
+        input.addEventListener('change', () => updateTransformSummary());
+      }).buildElement()
+      .addDiv({'id': 'bm-contain-transform', 'hidden': true}, (instance, div) => {
+        div.addEventListener('input', () => updateTransformSummary()); // Every option changes the size of the template
+      })
+        .addCheckbox({'id': 'bm-checkbox-transform', 'textContent': 'Resize and crop when creating'}).buildElement()
+        .addDiv({'className': 'bm-convert-options'})
+          .addSmall({'textContent': 'Crop'}).buildElement()
+          .addInput({'type': 'number', 'id': 'bm-input-crop-x', 'placeholder': 'X', 'title': 'The left edge of the crop', 'min': 0}).buildElement()
+          .addInput({'type': 'number', 'id': 'bm-input-crop-y', 'placeholder': 'Y', 'title': 'The top edge of the crop', 'min': 0}).buildElement()
+          .addInput({'type': 'number', 'id': 'bm-input-crop-width', 'placeholder': 'W', 'title': 'The width of the crop. The rest of the image if empty', 'min': 1}).buildElement()
+          .addInput({'type': 'number', 'id': 'bm-input-crop-height', 'placeholder': 'H', 'title': 'The height of the crop. The rest of the image if empty', 'min': 1}).buildElement()
+        .buildElement()
+        .addDiv({'className': 'bm-convert-options'})
+          .addSmall({'textContent': 'Size'}).buildElement()
+          .addInput({'type': 'number', 'id': 'bm-input-resize-width', 'placeholder': 'W', 'title': 'The width of the template. Follows the height if empty', 'min': 1}).buildElement()
+          .addInput({'type': 'number', 'id': 'bm-input-resize-height', 'placeholder': 'H', 'title': 'The height of the template. Follows the width if empty', 'min': 1}).buildElement()
+          .addSelect({'id': 'bm-select-resize-resample', 'title': 'How the pixels are resized'}, (instance, select) => {
+            select.add(new Option('Nearest pixel', 'nearest'));
+            select.add(new Option('Average (area)', 'area'));
+          }).buildElement()
+        .buildElement()
+        .addDiv({'className': 'bm-convert-options'})
+          .addCheckbox({'id': 'bm-checkbox-flip-x', 'textContent': 'Flip ↔'}).buildElement()
+          .addCheckbox({'id': 'bm-checkbox-flip-y', 'textContent': 'Flip ↕'}).buildElement()
+          .addSelect({'id': 'bm-select-rotate', 'title': 'How far the template is rotated clockwise'}, (instance, select) => {
+            select.add(new Option('No rotation', '0'));
+            select.add(new Option('Rotate 90°', '90'));
+            select.add(new Option('Rotate 180°', '180'));
+            select.add(new Option('Rotate 270°', '270'));
+          }).buildElement()
+        .buildElement()
+        .addSmall({'id': 'bm-transform-summary'}).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-contain-convert', 'hidden': true})
+        .addCheckbox({'id': 'bm-checkbox-convert', 'textContent': 'Convert to the palette when creating'}).buildElement()
+        .addDiv({'className': 'bm-convert-options'})
+          .addSelect({'id': 'bm-select-convert-colors', 'title': 'Which colors the image is converted to'}, (instance, select) => {
+            select.add(new Option('Free colors', 'free'));
+            select.add(new Option('Free + premium colors', 'all'));
+            select.add(new Option('Colors I own', 'owned'));
+            select.add(new Option('Only these colors...', 'custom'));
+            select.addEventListener('change', () => {
+              document.querySelector('#bm-input-convert-colors')?.toggleAttribute('hidden', select.value != 'custom');
+            });
+          }).buildElement()
+          .addInput({'type': 'text', 'id': 'bm-input-convert-colors', 'placeholder': 'Color IDs, e.g. 1-31, 35', 'title': 'The IDs of the colors to convert to. Ranges like "1-31" are allowed', 'hidden': true}).buildElement()
+          .addSelect({'id': 'bm-select-convert-dither', 'title': 'How colors between palette colors are blended'}, (instance, select) => {
+            select.add(new Option('No dithering', 'none'));
+            select.add(new Option('Floyd–Steinberg', 'floyd-steinberg'));
+            select.add(new Option('Ordered', 'ordered'));
+          }).buildElement()
+          .addSelect({'id': 'bm-select-convert-distance', 'title': 'How the nearest palette color is found'}, (instance, select) => {
+            select.add(new Option('Perceptual (Lab)', 'lab'));
+            select.add(new Option('RGB', 'rgb'));
+          }).buildElement()
+          .addButton({'id': 'bm-button-convert-preview', 'textContent': 'Preview'}, (instance, button) => {
+            button.onclick = async () => {
+              const file = document.querySelector('#bm-input-file-template')?.files[0];
+              if (!file) {instance.handleDisplayError(`No file selected!`); return;}
+
+              button.disabled = true;
+              try {
+                const { blob, pixelCount, changedPixelCount } = await templateManager.convertImage(await getTransformedImage(file), getConvertOptions());
+                const preview = document.querySelector('#bm-img-convert-preview');
+                if (preview) {
+                  URL.revokeObjectURL(preview.src);
+                  preview.src = URL.createObjectURL(blob);
+                  preview.hidden = false;
+                }
+                instance.handleDisplayStatus(`Converting changes ${new Intl.NumberFormat().format(changedPixelCount)} of ${new Intl.NumberFormat().format(pixelCount)} pixels.`);
+              } catch (error) {
+                instance.handleDisplayError(`Could not convert the image!\n${error?.message || error}`);
+              } finally {
+                button.disabled = false;
+              }
+            };
+          }).buildElement()
+        .buildElement()
+        .addImg({'id': 'bm-img-convert-preview', 'alt': 'Preview of the converted template', 'hidden': true}).buildElement()
+      .buildElement()
       .addDiv({'id': 'bm-contain-buttons-template'})
         .addButton({'id': 'bm-button-enable', 'textContent': 'Enable'}, (instance, button) => {
           button.onclick = () => {
@@ -582,7 +762,7 @@ function buildOverlayMain() {
           }
         }).buildElement()
         .addButton({'id': 'bm-button-create', 'textContent': 'Create'}, (instance, button) => {
-          button.onclick = () => {
+          button.onclick = async () => {
             const input = document.querySelector('#bm-input-file-template');
 
             const coordTlX = document.querySelector('#bm-input-tx');
@@ -597,7 +777,33 @@ function buildOverlayMain() {
             // Kills itself if there is no file
             if (!input?.files[0]) {instance.handleDisplayError(`No file selected!`); return;}
 
-            templateManager.createTemplate(input.files[0], input.files[0]?.name.replace(/\.[^/.]+$/, ''), [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)]);
+            // Resizes and crops the image first, if the user asked for it
+            let file;
+            try {
+              file = await getTransformedImage(input.files[0]);
+            } catch (error) {
+              instance.handleDisplayError(`Could not resize the image!\n${error?.message || error}`);
+              return;
+            }
+
+            // Converts the image to the palette, if the user asked for it
+            if (document.querySelector('#bm-checkbox-convert')?.checked) {
+              try {
+                const { blob, pixelCount, changedPixelCount } = await templateManager.convertImage(file, getConvertOptions());
+                file = blob;
+                instance.handleDisplayStatus(`Converted the image to the palette. ${new Intl.NumberFormat().format(changedPixelCount)} of ${new Intl.NumberFormat().format(pixelCount)} pixels changed.`);
+              } catch (error) {
+                instance.handleDisplayError(`Could not convert the image!\n${error?.message || error}`);
+                return;
+              }
+            }
+
+            try {
+              await templateManager.createTemplate(file, input.files[0]?.name.replace(/\.[^/.]+$/, ''), [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)]);
+            } catch (error) {
+              instance.handleDisplayError(`Could not create the template!\n${error?.message || error}`);
+              return;
+            }
 
             // console.log(`TCoords: ${apiManager.templateCoordsTilePixel}\nCoords: ${apiManager.coordsTilePixel}`);
             // apiManager.templateCoordsTilePixel = apiManager.coordsTilePixel; // Update template coords
@@ -613,17 +819,77 @@ function buildOverlayMain() {
             instance.handleDisplayStatus(`Disabled templates!`);
           }
         }).buildElement()
+        .addSelect({'id': 'bm-select-render-mode', 'title': 'Which template pixels are drawn'}, (instance, select) => {
+          select.add(new Option('Full template', 'full'));
+          select.add(new Option('Only missing', 'missing'));
+          select.add(new Option('Only wrong', 'wrong'));
+          select.add(new Option('Only correct', 'correct'));
+          select.value = templateManager.renderMode;
+          select.addEventListener('change', () => {
+            templateManager.setRenderMode(select.value);
+            const userSettings = JSON.parse(GM_getValue('bmUserSettings', '{}'));
+            userSettings['renderMode'] = templateManager.renderMode; // Stored keys are quoted, so minifying does not rename them
+            GM.setValue('bmUserSettings', JSON.stringify(userSettings));
+            instance.handleDisplayStatus(`Drawing ${select.selectedOptions[0]?.textContent.toLowerCase()}! Tiles update when the map loads them again.`);
+          });
+        }).buildElement()
+        .addSelect({'id': 'bm-select-render-style', 'title': 'How each template pixel is drawn'}, (instance, select) => {
+          select.add(new Option('Dot', 'dot'));
+          select.add(new Option('Full pixel', 'full'));
+          select.add(new Option('Outline', 'outline'));
+          select.add(new Option('Crosshair', 'crosshair'));
+          select.add(new Option('Symbols', 'symbol'));
+          select.value = templateManager.renderStyle;
+          select.addEventListener('change', () => {
+            templateManager.setRenderStyle({ style: select.value });
+            saveRenderStyle();
+            document.querySelector('#bm-input-render-opacity')?.toggleAttribute('hidden', select.value != 'full');
+            instance.handleDisplayStatus(`Drawing pixels as ${select.selectedOptions[0]?.textContent.toLowerCase()}! Tiles update when the map loads them again.`);
+          });
+        }).buildElement()
+        .addSelect({'id': 'bm-select-render-scale', 'title': 'How many times larger the tiles are drawn. Larger styles are easier to see, but use more memory'}, (instance, select) => {
+          for (const multiplier of [3, 5, 7]) {select.add(new Option(`${multiplier}x`, multiplier));}
+          select.value = templateManager.drawMult;
+          select.addEventListener('change', () => {
+            templateManager.setRenderStyle({ multiplier: select.value });
+            saveRenderStyle();
+            instance.handleDisplayStatus(`Drawing tiles at ${select.value}x! Tiles update when the map loads them again.`);
+          });
+        }).buildElement()
+        .addInput({'type': 'range', 'id': 'bm-input-render-opacity', 'title': 'The opacity of full pixels', 'min': 0.1, 'max': 1, 'step': 0.1, 'value': templateManager.fillOpacity, 'hidden': templateManager.renderStyle != 'full'}, (instance, input) => {
+          input.addEventListener('change', () => {
+            templateManager.setRenderStyle({ opacity: input.value });
+            saveRenderStyle();
+            instance.handleDisplayStatus(`Drawing full pixels at ${Math.round(templateManager.fillOpacity * 100)}% opacity! Tiles update when the map loads them again.`);
+          });
+        }).buildElement()
       .buildElement()
       .addTextarea({'id': overlayMain.outputStatusId, 'placeholder': `Status: Sleeping...\nVersion: ${version}`, 'readOnly': true}).buildElement()
       .addDiv({'id': 'bm-contain-buttons-action'})
         .addDiv()
           // .addButton({'id': 'bm-button-teleport', 'className': 'bm-help', 'textContent': '✈'}).buildElement()
           // .addButton({'id': 'bm-button-favorite', 'className': 'bm-help', 'innerHTML': '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><polygon points="10,2 12,7.5 18,7.5 13.5,11.5 15.5,18 10,14 4.5,18 6.5,11.5 2,7.5 8,7.5" fill="white"></polygon></svg>'}).buildElement()
-          // .addButton({'id': 'bm-button-templates', 'className': 'bm-help', 'innerHTML': '🖌'}).buildElement()
+          .addButton({'id': 'bm-button-templates', 'className': 'bm-help', 'innerHTML': '🖌', 'title': 'Template Manager'},
+            (instance, button) => {
+            button.addEventListener('click', () => {
+              const panel = document.querySelector('#bm-overlay-template');
+              if (!panel) {return;}
+              const shouldShow = panel.style.display == 'none';
+              panel.style.display = shouldShow ? '' : 'none';
+              if (shouldShow) {buildTemplateList();}
+            });
+          }).buildElement()
+          .addButton({'id': 'bm-button-transform', 'className': 'bm-help', 'innerHTML': '📐', 'title': 'Resize and Crop Template'}, 
+            (instance, button) => {
+            button.addEventListener('click', () => {
+              document.querySelector('#bm-contain-transform')?.toggleAttribute('hidden');
+              updateTransformSummary();
+            });
+          }).buildElement()
           .addButton({'id': 'bm-button-convert', 'className': 'bm-help', 'innerHTML': '🎨', 'title': 'Template Color Converter'}, 
             (instance, button) => {
             button.addEventListener('click', () => {
-              window.open('https://pepoafonso.github.io/color_converter_wplace/', '_blank', 'noopener noreferrer');
+              document.querySelector('#bm-contain-convert')?.toggleAttribute('hidden');
             });
           }).buildElement()
           .addButton({'id': 'bm-button-website', 'className': 'bm-help', 'innerHTML': '🌐', 'title': 'Official Blue Marble Website'}, 
@@ -638,21 +904,46 @@ function buildOverlayMain() {
     .buildElement()
   .buildOverlay(document.body);
 
+  // ------- Helper: Retrieve the template shown in the color filter -------
+  function getColorFilterTemplate() {
+    const select = document.querySelector('#bm-select-colorfilter-template');
+    return templateManager.getTemplate(select?.value) || templateManager.getSortedTemplates()[0];
+  }
+
   // ------- Helper: Build the color filter list -------
   window.buildColorFilterList = function buildColorFilterList() {
     const listContainer = document.querySelector('#bm-colorfilter-list');
-    const t = templateManager.templatesArray?.[0];
+
+    // Rebuilds the template selector, keeping the current selection if the template still exists
+    const select = document.querySelector('#bm-select-colorfilter-template');
+    if (select) {
+      const selectedKey = getColorFilterTemplate()?.storageKey;
+      select.innerHTML = '';
+      for (const template of templateManager.getSortedTemplates()) {
+        const option = document.createElement('option');
+        option.value = template.storageKey;
+        option.textContent = template.displayName;
+        option.selected = template.storageKey === selectedKey;
+        select.appendChild(option);
+      }
+    }
+
+    const t = getColorFilterTemplate();
     if (!listContainer || !t?.colorPalette) {
       if (listContainer) { listContainer.innerHTML = '<small>No template colors to display.</small>'; }
       return;
     }
 
     listContainer.innerHTML = '';
+    const colorProgress = t.getColorProgress();
+    const remaining = (rgb) => (colorProgress[rgb]?.required || 0) - (colorProgress[rgb]?.painted || 0) + (colorProgress[rgb]?.erase || 0) - (colorProgress[rgb]?.erased || 0); // Pixels left to paint or erase
+    const sortBy = document.querySelector('#bm-select-colorfilter-sort')?.value;
     const entries = Object.entries(t.colorPalette)
-      .sort((a,b) => b[1].count - a[1].count); // sort by frequency desc
+      .sort((a,b) => (sortBy == 'remaining') ? (remaining(b[0]) - remaining(a[0])) : (b[1].count - a[1].count)); // sort by remaining pixels or frequency desc
 
     for (const [rgb, meta] of entries) {
       let row = document.createElement('div');
+      row.dataset.color = rgb;
       row.style.display = 'flex';
       row.style.alignItems = 'center';
       row.style.gap = '8px';
@@ -665,59 +956,123 @@ function buildOverlayMain() {
 
       let label = document.createElement('span');
       label.style.fontSize = '12px';
-      let labelText = `${meta.count.toLocaleString()}`;
+      let labelText = '';
 
       // Special handling for "other" and "transparent"
       if (rgb === 'other') {
         swatch.style.background = '#888'; // Neutral color for "Other"
-        labelText = `Other • ${labelText}`;
-      } else if (rgb === '#deface') {
-        swatch.style.background = '#deface';
-        labelText = `Transparent • ${labelText}`;
+        labelText = `Other`;
+      } else if (rgb === '222,250,206') {
+        swatch.style.background = 'repeating-conic-gradient(#aaa 0 25%, #fff 0 50%) 50% / 6px 6px'; // Checkerboard, like the #deface pixels are drawn
+        labelText = `Transparent (erase)`;
       } else {
         const [r, g, b] = rgb.split(',').map(Number);
         swatch.style.background = `rgb(${r},${g},${b})`;
         try {
-          const tMeta = templateManager.templatesArray?.[0]?.rgbToMeta?.get(rgb);
+          const tMeta = t.rgbToMeta?.get(rgb);
+          labelText = `rgb(${r},${g},${b})`;
           if (tMeta && typeof tMeta.id === 'number') {
             const displayName = tMeta?.name || `rgb(${r},${g},${b})`;
             const starLeft = tMeta.premium ? '★ ' : '';
-            labelText = `#${tMeta.id} ${starLeft}${displayName} • ${labelText}`;
+            labelText = `#${tMeta.id} ${starLeft}${displayName}`;
           }
         } catch (ignored) {}
+
+        // Premium colors the user did not buy can not be painted
+        if (!templateManager.isColorOwned(rgb)) {
+          row.classList.add('bm-colorfilter-unowned');
+          row.title = 'You do not own this color';
+          labelText = `🔒 ${labelText}`;
+        }
       }
       label.textContent = labelText;
 
+      // The painted / required pixels of the color, and a bar of how complete the color is
+      let progressText = document.createElement('span');
+      progressText.className = 'bm-colorfilter-progress';
+      label.append(' • ', progressText);
+
+      let progressBar = document.createElement('div');
+      progressBar.style.height = '3px';
+      progressBar.style.marginTop = '2px';
+      progressBar.style.background = 'rgba(255,255,255,0.15)';
+      let progressFill = document.createElement('div');
+      progressFill.className = 'bm-colorfilter-progress-bar';
+      progressFill.style.height = '100%';
+      progressFill.style.background = '#2e97ff';
+      progressBar.appendChild(progressFill);
+
+      let details = document.createElement('div');
+      details.style.flex = '1';
+      details.appendChild(label);
+      details.appendChild(progressBar);
+
       const toggle = document.createElement('input');
       toggle.type = 'checkbox';
       toggle.checked = !!meta.enabled;
       toggle.addEventListener('change', () => {
         meta.enabled = toggle.checked;
         overlayMain.handleDisplayStatus(`${toggle.checked ? 'Enabled' : 'Disabled'} ${rgb}`);
-        try {
-          const t = templateManager.templatesArray?.[0];
-          const key = t?.storageKey;
-          if (t && key && templateManager.templatesJSON?.templates?.[key]) {
-            templateManager.templatesJSON.templates[key].palette = t.colorPalette;
-            // persist immediately
-            GM.setValue('bmTemplates', JSON.stringify(templateManager.templatesJSON));
-          }
-        } catch (_) {}
+        templateManager.saveTemplate(t); // Persist immediately
       });
 
       row.appendChild(toggle);
       row.appendChild(swatch);
-      row.appendChild(label);
+      row.appendChild(details);
       listContainer.appendChild(row);
     }
+
+    updateColorFilterProgress();
   };
 
-  // Listen for template creation/import completion to (re)build palette list
+  // ------- Helper: Update the progress of each color in the color filter list -------
+  // Updated in place, so the list does not jump around while tiles are drawn
+  function updateColorFilterProgress() {
+    const t = getColorFilterTemplate();
+    if (!t) { return; }
+
+    const colorProgress = t.getColorProgress();
+    const format = new Intl.NumberFormat().format;
+
+    // The pixels left that need colors the user does not own
+    const blockedText = document.querySelector('#bm-colorfilter-blocked');
+    if (blockedText) {
+      const blocked = templateManager.getBlockedPixels(t);
+      blockedText.hidden = blocked.pixels == 0;
+      blockedText.textContent = `🔒 ${format(blocked.pixels)} pixel${blocked.pixels == 1 ? '' : 's'} left need${blocked.pixels == 1 ? 's' : ''} ${blocked.colors.length} color${blocked.colors.length == 1 ? '' : 's'} you do not own`;
+    }
+
+    for (const row of document.querySelectorAll('#bm-colorfilter-list > div[data-color]')) {
+      const { painted = 0, required = 0, wrong = 0, erase = 0, erased = 0 } = colorProgress[row.dataset.color] || {};
+
+      // #deface pixels are done when they are erased, not when they are painted
+      const done = erase > 0 ? erased : painted;
+      const total = erase > 0 ? erase : required;
+      const percent = total > 0 ? Math.floor((done / total) * 100) : 100;
+
+      const progressText = row.querySelector('.bm-colorfilter-progress');
+      if (progressText) {
+        progressText.textContent = total > 0 ? `${format(done)} / ${format(total)} (${percent}%)${erase > 0 ? ' erased' : ''}` : `${format(wrong)} wrong`;
+        progressText.title = `${format(total - done)} left to ${erase > 0 ? 'erase' : 'paint'} • ${format(wrong)} wrong`;
+      }
+
+      const progressFill = row.querySelector('.bm-colorfilter-progress-bar');
+      if (progressFill) { progressFill.style.width = `${percent}%`; }
+    }
+  }
+
+  // Listen for template creation/import completion to (re)build palette list, and for tile draws to refresh the color progress
   window.addEventListener('message', (event) => {
     if (event?.data?.bmEvent === 'bm-rebuild-color-list') {
       try { buildColorFilterList(); } catch (_) {}
+    } else if (event?.data?.bmEvent === 'bm-update-template-progress') {
+      try { updateColorFilterProgress(); } catch (_) {}
+      try { updatePaintPlan(); } catch (_) {}
+    } else if (event?.data?.bmEvent === 'bm-update-charges') {
+      try { updatePaintPlan(); } catch (_) {}
     }
   });
+  setInterval(updatePaintPlan, 60000); // Charges are given over time, even when nothing else changes
 
   // If a template was already loaded from storage, show the color UI and build list
   setTimeout(() => {
@@ -781,26 +1136,658 @@ function buildTelemetryOverlay(overlay) {
   .buildOverlay(document.body);
 }
 
+/** Deploys the template manager panel to the page.
+ * The panel lists every stored template, and lets the user enable, rename, reorder, and delete them.
+ * The panel starts hidden, and is opened with the template button in the main overlay.
+ * @since 0.85.2
+ */
 function buildOverlayTabTemplate() {
-  overlayTabTemplate.addDiv({'id': 'bm-tab-template', 'style': 'top: 20%; left: 10%;'})
-      .addDiv()
-        .addDiv({'className': 'bm-dragbar'}).buildElement()
-        .addButton({'className': 'bm-button-minimize', 'textContent': '↑'},
+  overlayTabTemplate.addDiv({'id': 'bm-overlay-template', 'style': 'top: 20%; left: 10%; display: none;'})
+      .addDiv({'id': 'bm-contain-header-template'})
+        .addDiv({'id': 'bm-bar-drag-template'}).buildElement()
+        .addHeader(2, {'textContent': 'Templates'}).buildElement()
+        .addButton({'id': 'bm-button-template-minimize', 'className': 'bm-help', 'textContent': '↑', 'title': 'Minimize the template list'},
           (instance, button) => {
             button.onclick = () => {
-              let isMinimized = false;
-              if (button.textContent == '↑') {
-                button.textContent = '↓';
-              } else {
-                button.textContent = '↑';
-                isMinimized = true;
-              }
-
-              
+              const list = document.querySelector('#bm-template-list');
+              const isMinimized = button.textContent == '↑';
+              button.textContent = isMinimized ? '↓' : '↑';
+              if (list) {list.style.display = isMinimized ? 'none' : '';}
+            }
+          }
+        ).buildElement()
+        .addButton({'id': 'bm-button-template-close', 'className': 'bm-help', 'textContent': '✖', 'title': 'Close the template manager'},
+          (instance, button) => {
+            button.onclick = () => {
+              document.querySelector('#bm-overlay-template').style.display = 'none';
             }
           }
         ).buildElement()
       .buildElement()
+      .addHr().buildElement()
+      .addDiv({'id': 'bm-contain-template-transfer'})
+        .addButton({'id': 'bm-button-template-export-all', 'textContent': 'Export All'}, (instance, button) => {
+          button.onclick = () => {
+            if (templateManager.templatesArray.length == 0) {instance.handleDisplayError(`There are no templates to export!`); return;}
+            exportTemplates(undefined, 'BlueMarble-Templates');
+          }
+        }).buildElement()
+        .addInputFile({'id': 'bm-input-file-template-import', 'textContent': 'Import File', 'title': 'Blue Marble, OSU! Place, or Overlay Pro files. Or images with the coordinates in the file name, or with a coordinate file of the same name', 'accept': '.json, .txt, application/json, text/plain, image/png, image/jpeg, image/webp, image/bmp, image/gif', 'multiple': true}, (instance, container, input, button) => {
+          input.addEventListener('change', async () => {
+            if (!input.files?.length) {return;}
+            await templateManager.importTemplateFiles(input.files);
+            input.value = ''; // Allows the same file to be imported again
+            button.textContent = 'Import File';
+          });
+        }).buildElement()
+        .addTextarea({'id': 'bm-input-template-import', 'placeholder': 'Or paste an exported template here...'}).buildElement()
+        .addButton({'id': 'bm-button-template-import', 'textContent': 'Import Pasted'}, (instance, button) => {
+          button.onclick = async () => {
+            const textarea = document.querySelector('#bm-input-template-import');
+            if (!textarea?.value.trim()) {instance.handleDisplayError(`Paste an exported template first!`); return;}
+            await templateManager.importTemplatesFromText(textarea.value);
+            textarea.value = '';
+          }
+        }).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-contain-template-url'})
+        .addInput({'type': 'url', 'id': 'bm-input-template-url', 'placeholder': 'Template URL'}).buildElement()
+        .addSelect({'id': 'bm-select-template-url-type', 'title': 'What the URL points to'}, (instance, select) => {
+          select.add(new Option('Image', 'template'));
+          select.add(new Option('Blue Marble file', 'json'));
+        }).buildElement()
+        .addInput({'type': 'number', 'id': 'bm-input-template-url-refresh', 'title': 'How often the URL is checked for changes, in minutes. 0 = never', 'min': 0, 'step': 1, 'value': 10}).buildElement()
+        .addButton({'id': 'bm-button-template-url', 'textContent': 'Add from URL'}, (instance, button) => {
+          button.onclick = () => {
+            const url = document.querySelector('#bm-input-template-url')?.value.trim();
+            const urlType = document.querySelector('#bm-select-template-url-type')?.value;
+            const refreshMinutes = Math.max(0, Number(document.querySelector('#bm-input-template-url-refresh')?.value) || 0);
+
+            if (!url) {instance.handleDisplayError(`No URL entered!`); return;}
+
+            // Images are placed at the coordinates in the main overlay. Blue Marble files already know where they go
+            let coords = null;
+            if (urlType == 'template') {
+              const coordInputs = selectAllCoordinateInputs(document);
+              for (const coordInput of coordInputs) {
+                if (!coordInput.checkValidity()) {coordInput.reportValidity(); instance.handleDisplayError('Coordinates are malformed! Did you try clicking on the canvas first?'); return;}
+              }
+              coords = coordInputs.map(coordInput => Number(coordInput.value));
+            }
+
+            const name = decodeURIComponent(url.split('?')[0].split('/').pop() || 'URL Template').replace(/\.[^/.]+$/, '');
+            templateManager.createTemplateFromURL(url, urlType, name, coords, refreshMinutes);
+          }
+        }).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-contain-template-progress'})
+        .addButton({'id': 'bm-button-template-progress', 'textContent': 'Check All Tiles', 'title': 'Downloads every tile the templates touch, to find the progress of the whole template'}, (instance, button) => {
+          button.onclick = async () => {
+            if (templateManager.templatesArray.length == 0) {instance.handleDisplayError(`There are no templates to check!`); return;}
+            button.disabled = true;
+            await templateManager.checkTemplateProgress();
+            button.disabled = false;
+          }
+        }).buildElement()
+      .buildElement()
+      .addDiv({'id': 'bm-template-list'}).buildElement()
+      .addDiv({'id': 'bm-contain-template-damage'})
+        .addSmall({'id': 'bm-damage-summary', 'textContent': 'No damage found yet'}).buildElement()
+        .addDiv({'id': 'bm-contain-damage-settings'})
+          .addInput({'type': 'number', 'id': 'bm-input-damage-threshold', 'title': 'How many template pixels must be damaged before alerting. 0 = never', 'min': 0, 'step': 1, 'value': templateManager.damageAlert.threshold}, (instance, input) => {
+            input.addEventListener('change', () => {
+              templateManager.setDamageAlert({ threshold: input.value });
+              saveDamageAlert();
+            });
+          }).buildElement()
+          .addCheckbox({'id': 'bm-checkbox-damage-status', 'textContent': 'Status', 'title': 'Alert in the status box', 'checked': templateManager.damageAlert.status}, (instance, label, checkbox) => {
+            checkbox.addEventListener('change', () => {
+              templateManager.setDamageAlert({ status: checkbox.checked });
+              saveDamageAlert();
+            });
+          }).buildElement()
+          .addCheckbox({'id': 'bm-checkbox-damage-notification', 'textContent': 'Desktop', 'title': 'Alert with a desktop notification', 'checked': templateManager.damageAlert.notification}, (instance, label, checkbox) => {
+            checkbox.addEventListener('change', async () => {
+              // The website must be allowed to show notifications first
+              if (checkbox.checked && window.Notification?.permission != 'granted') {
+                checkbox.checked = (await window.Notification?.requestPermission()) == 'granted';
+                if (!checkbox.checked) {instance.handleDisplayError(`Notifications are blocked! Allow notifications for this website to use desktop alerts.`);}
+              }
+              templateManager.setDamageAlert({ notification: checkbox.checked });
+              saveDamageAlert();
+            });
+          }).buildElement()
+          .addCheckbox({'id': 'bm-checkbox-damage-sound', 'textContent': 'Sound', 'title': 'Alert with a sound', 'checked': templateManager.damageAlert.sound}, (instance, label, checkbox) => {
+            checkbox.addEventListener('change', () => {
+              templateManager.setDamageAlert({ sound: checkbox.checked });
+              saveDamageAlert();
+            });
+          }).buildElement()
+          .addButton({'id': 'bm-button-damage-clear', 'textContent': 'Clear', 'title': 'Clear the damage list'}, (instance, button) => {
+            button.onclick = () => templateManager.clearDamageLog();
+          }).buildElement()
+        .buildElement()
+        .addDiv({'id': 'bm-damage-list'}).buildElement()
+      .buildElement()
     .buildElement()
-  .buildOverlay();
+  .buildOverlay(document.body);
+
+  buildDamageList();
+
+  // Listen for template changes to rebuild the list, and for tile draws to refresh the progress
+  window.addEventListener('message', (event) => {
+    if (event?.data?.bmEvent === 'bm-rebuild-template-list') {
+      try { buildTemplateList(); } catch (_) {}
+    } else if (event?.data?.bmEvent === 'bm-update-template-progress') {
+      try { updateTemplateListProgress(); } catch (_) {}
+    } else if (event?.data?.bmEvent === 'bm-update-damage-log') {
+      try { buildDamageList(); } catch (_) {}
+    }
+  });
+}
+
+/** Builds the list of damaged template pixels in the template manager panel, newest first.
+ * Each pixel has a button to jump to it on the map.
+ * @since 0.85.16
+ */
+function buildDamageList() {
+  const list = document.querySelector('#bm-damage-list');
+  const summary = document.querySelector('#bm-damage-summary');
+  if (!list) {return;}
+
+  const damageLog = templateManager.damageLog;
+  const hourAgo = Date.now() - 3600000;
+  const format = new Intl.NumberFormat().format;
+  if (summary) {
+    summary.textContent = damageLog.length == 0 ? 'No damage found yet' :
+      `Damage: ${format(damageLog.filter(damage => damage['time'] >= hourAgo).length)} pixels in the last hour, ${format(damageLog.length)} listed`;
+  }
+
+  list.innerHTML = '';
+  for (const damage of damageLog.slice(-50).reverse()) {
+    const row = document.createElement('div');
+    row.className = 'bm-damage-row';
+
+    const jump = document.createElement('button');
+    jump.className = 'bm-help';
+    jump.textContent = '✈';
+    jump.title = 'Jump to the damaged pixel';
+    jump.addEventListener('click', () => {
+      const { lat, lng } = tilePixelToLatLng(damage['coords'], templateManager.tileSize);
+      const [tileX, tileY] = damage['coords'];
+      window.postMessage({ source: 'blue-marble', bmEvent: 'bm-jump', lat, lng, zoom: 19, tileX, tileY }, '*'); // The page moves the map, and only reloads if the map did not move
+    });
+
+    // The color that was there, and the color that is there now
+    const colors = document.createElement('span');
+    for (const color of [damage['oldColor'], damage['newColor']]) {
+      const swatch = document.createElement('span');
+      swatch.className = 'bm-damage-color';
+      swatch.style.background = color ? `rgb(${color})` : 'repeating-conic-gradient(#aaa 0 25%, #fff 0 50%) 50% / 4px 4px'; // Checkerboard for transparent
+      swatch.title = color ? `rgb(${color})` : 'Transparent';
+      colors.appendChild(swatch);
+    }
+    colors.insertBefore(document.createTextNode('→'), colors.lastChild);
+
+    const text = document.createElement('small');
+    text.textContent = `${new Date(damage['time']).toLocaleTimeString()} ${damage['name']} (${damage['coords'].join(', ')})`;
+
+    row.appendChild(jump);
+    row.appendChild(colors);
+    row.appendChild(text);
+    list.appendChild(row);
+  }
+}
+
+/** Shows the charges of the user, and the plan to paint the enabled templates with them.
+ * @since 0.85.23
+ */
+function updatePaintPlan() {
+  const plan = templateManager.getPaintPlan();
+  if (!plan) {return;} // The user data is not known yet
+
+  const format = new Intl.NumberFormat().format;
+  const charges = Math.floor(plan.charges);
+
+  overlayMain.updateInnerHTML('bm-user-charges', `Charges: <b>${format(charges)}</b> / ${format(plan.maxCharges)}` +
+    (charges < plan.maxCharges ? ` • full in ${formatDuration(plan.timeUntilFull)}` : ' • full')
+  );
+
+  const planText = document.querySelector('#bm-user-plan');
+  if (!planText) {return;}
+  if (plan.remaining == 0) {planText.textContent = ''; return;}
+
+  planText.textContent = `${format(plan.remaining)} pixel${plan.remaining == 1 ? '' : 's'} left • ` +
+    `${format(plan.sessions)} session${plan.sessions == 1 ? '' : 's'} • done in ${formatDuration(plan.timeToFinish)}` +
+    (plan.chargeDroplets > 0 ? `, or ${format(plan.chargeDroplets)} droplets to buy the charges` : '') +
+    (plan.blocked > 0 ? `\n${format(plan.blocked)} pixel${plan.blocked == 1 ? ' needs' : 's need'} ${plan.premiumColors.length} color${plan.premiumColors.length == 1 ? '' : 's'} you do not own (${format(plan.colorDroplets)} droplets)` : '') +
+    (templateManager.droplets != null ? `\nYou have ${format(templateManager.droplets)} droplets` : '');
+}
+
+/** Reads the color converter options from the main overlay.
+ * @returns {{colors: string, colorIDs: Array<number>, dither: string, distance: string}} The options for {@link TemplateManager#convertImage}
+ * @since 0.85.20
+ */
+function getConvertOptions() {
+
+  // Reads color IDs like "1-31, 35" as [1, 2, ..., 31, 35]
+  const colorIDs = [];
+  for (const part of (document.querySelector('#bm-input-convert-colors')?.value || '').split(',')) {
+    const [start, end = start] = part.split('-').map(id => parseInt(id, 10));
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {continue;}
+    for (let id = start; id <= end; id++) {colorIDs.push(id);}
+  }
+
+  return {
+    colors: document.querySelector('#bm-select-convert-colors')?.value || 'free',
+    colorIDs,
+    dither: document.querySelector('#bm-select-convert-dither')?.value || 'none',
+    distance: document.querySelector('#bm-select-convert-distance')?.value || 'lab'
+  };
+}
+
+/** Resizes and crops an image with the options in the main overlay, if the user asked for it.
+ * @param {Blob} file - The uploaded image
+ * @returns {Promise<Blob>} The changed image, or the same image if it should not change
+ * @since 0.85.21
+ */
+async function getTransformedImage(file) {
+  if (!document.querySelector('#bm-checkbox-transform')?.checked) {return file;}
+  return (await templateManager.transformImage(file, getTransformOptions())).blob;
+}
+
+/** Reads the resize and crop options from the main overlay.
+ * @returns {Object} The options for {@link TemplateManager#transformImage}
+ * @since 0.85.21
+ */
+function getTransformOptions() {
+  const number = (id) => Number(document.querySelector(id)?.value) || undefined; // Empty fields are undefined
+  return {
+    crop: {
+      x: number('#bm-input-crop-x'),
+      y: number('#bm-input-crop-y'),
+      width: number('#bm-input-crop-width'),
+      height: number('#bm-input-crop-height')
+    },
+    width: number('#bm-input-resize-width'),
+    height: number('#bm-input-resize-height'),
+    resample: document.querySelector('#bm-select-resize-resample')?.value || 'nearest',
+    flipX: !!document.querySelector('#bm-checkbox-flip-x')?.checked,
+    flipY: !!document.querySelector('#bm-checkbox-flip-y')?.checked,
+    rotate: Number(document.querySelector('#bm-select-rotate')?.value) || 0
+  };
+}
+
+let transformSummaryTimer = null; // Waits for the user to stop typing before measuring the template again
+
+/** Shows the size, pixel count and painting cost of the uploaded image after resizing and cropping.
+ * @since 0.85.21
+ */
+function updateTransformSummary() {
+  clearTimeout(transformSummaryTimer);
+  transformSummaryTimer = setTimeout(async () => {
+
+    const summary = document.querySelector('#bm-transform-summary');
+    const file = document.querySelector('#bm-input-file-template')?.files[0];
+    if (!summary || summary.closest('[hidden]')) {return;} // Nothing to update while the tool is closed
+    if (!file) {summary.textContent = 'No file selected!'; return;}
+
+    try {
+      const options = document.querySelector('#bm-checkbox-transform')?.checked ? getTransformOptions() : {};
+      const { width, height, pixelCount } = await templateManager.transformImage(file, options);
+      const { time, droplets } = estimatePaintCost(pixelCount);
+      const format = new Intl.NumberFormat().format;
+      summary.textContent = `${width}×${height} • ${format(pixelCount)} pixels • ${formatDuration(time)} of charges, or ${format(droplets)} droplets`;
+    } catch (error) {
+      summary.textContent = error?.message || String(error);
+    }
+  }, 300);
+}
+
+/** Stores the render style settings in the user settings.
+ * @since 0.85.17
+ */
+function saveRenderStyle() {
+  const userSettings = JSON.parse(GM_getValue('bmUserSettings', '{}'));
+  userSettings['renderStyle'] = { 'style': templateManager.renderStyle, 'multiplier': templateManager.drawMult, 'opacity': templateManager.fillOpacity }; // Stored keys are quoted, so minifying does not rename them
+  GM.setValue('bmUserSettings', JSON.stringify(userSettings));
+}
+
+/** Stores the charge alert settings in the user settings.
+ * @since 0.85.24
+ */
+function saveChargeAlert() {
+  const userSettings = JSON.parse(GM_getValue('bmUserSettings', '{}'));
+  userSettings['chargeAlert'] = templateManager.chargeAlert; // Stored keys are quoted, so minifying does not rename them
+  GM.setValue('bmUserSettings', JSON.stringify(userSettings));
+}
+
+/** Stores the damage alert settings in the user settings.
+ * @since 0.85.16
+ */
+function saveDamageAlert() {
+  const userSettings = JSON.parse(GM_getValue('bmUserSettings', '{}'));
+  userSettings['damageAlert'] = templateManager.damageAlert;
+  GM.setValue('bmUserSettings', JSON.stringify(userSettings));
+}
+
+let thumbnailURLs = []; // The object URLs of the thumbnails in the template list. Revoked when the list is rebuilt
+
+/** Builds the rows of the template manager panel.
+ * Templates are listed from highest draw priority (drawn on top) to lowest.
+ * @since 0.85.2
+ */
+function buildTemplateList() {
+  const listContainer = document.querySelector('#bm-template-list');
+
+  if (!listContainer) {return;} // Kills itself if the panel was never built
+
+  listContainer.innerHTML = '';
+
+  // The old thumbnails are gone, so their blobs can be freed
+  thumbnailURLs.forEach(url => URL.revokeObjectURL(url));
+  thumbnailURLs = [];
+
+  const templates = templateManager.getSortedTemplates().reverse(); // Top of the list = drawn on top
+
+  if (templates.length == 0) {
+    listContainer.innerHTML = '<small>No templates loaded.</small>';
+    return;
+  }
+
+  for (const template of templates) {
+    const row = document.createElement('div');
+    row.className = 'bm-template-row';
+    row.dataset.storageKey = template.storageKey;
+    row.draggable = true;
+
+    // Drag-to-reorder. The dragged row is dropped above the row it is released on
+    row.addEventListener('dragstart', (event) => {
+      event.dataTransfer.setData('text/plain', template.storageKey);
+      event.dataTransfer.effectAllowed = 'move';
+    });
+    row.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+    });
+    row.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const draggedKey = event.dataTransfer.getData('text/plain');
+      if (!draggedKey || draggedKey == template.storageKey) {return;}
+      const order = templates.map(t => t.storageKey).filter(key => key != draggedKey); // Top to bottom, without the dragged template
+      order.splice(order.indexOf(template.storageKey), 0, draggedKey);
+      templateManager.reorderTemplates(order.reverse()); // Lowest draw priority first
+    });
+
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'bm-template-thumbnail';
+    thumbnail.alt = `Preview of ${template.displayName}`;
+    template.createThumbnail().then(blob => {
+      if (!blob) {return;}
+      const url = URL.createObjectURL(blob);
+      thumbnailURLs.push(url);
+      thumbnail.src = url;
+    }).catch(() => {});
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = !!template.enabled;
+    toggle.title = 'Draw this template';
+    toggle.addEventListener('change', () => {
+      templateManager.disableTemplate(template.storageKey, !toggle.checked);
+    });
+
+    const details = document.createElement('div');
+    details.className = 'bm-template-details';
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = template.displayName;
+    name.title = 'Rename this template';
+    name.addEventListener('change', () => {
+      templateManager.renameTemplate(template.storageKey, name.value);
+    });
+
+    const coords = document.createElement('small');
+    coords.textContent = `Coords: ${template.coords?.join(', ') ?? 'Unknown'}`;
+
+    // Puts the template coordinates into the coordinate fields of the main overlay
+    if (template.coords) {
+      const useCoords = document.createElement('button');
+      useCoords.className = 'bm-help';
+      useCoords.textContent = '📍';
+      useCoords.title = 'Use these coordinates in the main overlay';
+      useCoords.style.marginLeft = '0.5ch';
+      useCoords.addEventListener('click', () => {
+        selectAllCoordinateInputs(document).forEach((input, index) => {
+          input.value = template.coords[index];
+          input.dispatchEvent(new Event('change')); // Saves the coordinates
+        });
+        overlayTabTemplate.handleDisplayStatus(`Coordinates set to ${template.coords.join(', ')}`);
+      });
+      coords.appendChild(useCoords);
+    }
+
+    const progress = document.createElement('small');
+    progress.className = 'bm-template-progress';
+
+    // Progress over time. Filled in by updateTemplateListProgress()
+    const sparkline = document.createElement('canvas');
+    sparkline.className = 'bm-template-sparkline';
+    sparkline.width = 96;
+    sparkline.height = 20;
+    sparkline.title = 'Painted pixels over the last 24 hours';
+    const rate = document.createElement('small');
+    rate.className = 'bm-template-rate';
+
+    // Nudge controls. Moves are queued, so clicking quickly only chunks the template once
+    const move = document.createElement('small');
+    move.className = 'bm-template-move';
+    move.textContent = 'Move:';
+    for (const [arrow, deltaX, deltaY] of [['←', -1, 0], ['↑', 0, -1], ['↓', 0, 1], ['→', 1, 0]]) {
+      const nudge = document.createElement('button');
+      nudge.className = 'bm-help';
+      nudge.textContent = arrow;
+      nudge.title = `Move the template 1 pixel ${arrow} (hold Shift for 10 pixels)`;
+      nudge.addEventListener('click', (event) => {
+        const distance = event.shiftKey ? 10 : 1;
+        queueTemplateNudge(template.storageKey, deltaX * distance, deltaY * distance);
+      });
+      move.appendChild(nudge);
+    }
+    const moveToClick = document.createElement('button');
+    moveToClick.className = 'bm-help';
+    moveToClick.textContent = '🎯';
+    moveToClick.title = 'Move the template so its top left corner is the last pixel clicked on the canvas';
+    moveToClick.addEventListener('click', () => {
+      const clickedCoords = apiManager.coordsTilePixel?.map(Number);
+      if (clickedCoords?.length != 4 || !clickedCoords.every(Number.isFinite)) {
+        overlayTabTemplate.handleDisplayError('Coordinates are malformed! Did you try clicking on the canvas first?');
+        return;
+      }
+      templateManager.moveTemplate(template.storageKey, clickedCoords);
+    });
+    move.appendChild(moveToClick);
+
+    // How the template is blended with the tile
+    const look = document.createElement('small');
+    look.className = 'bm-template-look';
+    look.textContent = 'Look:';
+    const opacity = document.createElement('input');
+    opacity.type = 'range';
+    opacity.min = 0.1;
+    opacity.max = 1;
+    opacity.step = 0.1;
+    opacity.value = template.opacity;
+    opacity.title = 'The opacity of this template';
+    opacity.addEventListener('pointerdown', () => {row.draggable = false;}); // Sliding should not drag the row
+    opacity.addEventListener('pointerup', () => {row.draggable = true;});
+    opacity.addEventListener('change', async () => {
+      await templateManager.setTemplateBlend(template.storageKey, { opacity: opacity.value });
+      overlayTabTemplate.handleDisplayStatus(`Drawing "${template.displayName}" at ${Math.round(template.opacity * 100)}% opacity! Tiles update when the map loads them again.`);
+    });
+    const blend = document.createElement('select');
+    blend.title = 'How this template is blended';
+    blend.add(new Option('Normal', 'normal'));
+    blend.add(new Option('Grayscale', 'grayscale'));
+    blend.add(new Option('Yellow edge', 'yellow-edge'));
+    blend.add(new Option('Highlight on hover', 'highlight-on-hover'));
+    blend.value = template.blend;
+    blend.addEventListener('change', async () => {
+      await templateManager.setTemplateBlend(template.storageKey, { blend: blend.value });
+      overlayTabTemplate.handleDisplayStatus(`Drawing "${template.displayName}" as ${blend.selectedOptions[0]?.textContent.toLowerCase()}! Tiles update when the map loads them again.`);
+    });
+    look.appendChild(opacity);
+    look.appendChild(blend);
+
+    // Templates with the "highlight-on-hover" blend are highlighted while the mouse is over their row
+    row.addEventListener('mouseenter', () => templateManager.setHoveredTemplate(template.storageKey));
+    row.addEventListener('mouseleave', () => templateManager.setHoveredTemplate(null));
+
+    // Arrow keys move the template while its row is focused
+    row.tabIndex = 0;
+    row.addEventListener('keydown', (event) => {
+      if (event.target !== row) {return;} // Ignores key presses in the rename field
+      const arrows = {'ArrowLeft': [-1, 0], 'ArrowUp': [0, -1], 'ArrowDown': [0, 1], 'ArrowRight': [1, 0]};
+      if (!arrows[event.key]) {return;}
+      event.preventDefault();
+      const distance = event.shiftKey ? 10 : 1;
+      queueTemplateNudge(template.storageKey, arrows[event.key][0] * distance, arrows[event.key][1] * distance);
+    });
+
+    details.appendChild(name);
+    details.appendChild(coords);
+    details.appendChild(move);
+    details.appendChild(look);
+    details.appendChild(progress);
+    details.appendChild(sparkline);
+    details.appendChild(rate);
+
+    // Templates from the internet show where they come from
+    if (template.url) {
+      const source = document.createElement('small');
+      source.textContent = `🔗 ${template.urlRefreshMinutes > 0 ? `Updates every ${template.urlRefreshMinutes} min` : 'Never updates'}`;
+      source.title = template.url;
+      details.appendChild(source);
+    }
+
+    const exportButton = document.createElement('button');
+    exportButton.className = 'bm-help';
+    exportButton.textContent = '📤';
+    exportButton.title = 'Export this template';
+    exportButton.addEventListener('click', () => {
+      exportTemplates([template.storageKey], template.displayName);
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'bm-help';
+    remove.textContent = '🗑';
+    remove.title = 'Delete this template';
+    remove.addEventListener('click', () => {
+      if (confirm(`Delete the template "${template.displayName}"? This can not be undone.`)) {
+        templateManager.deleteTemplate(template.storageKey);
+      }
+    });
+
+    row.appendChild(toggle);
+    row.appendChild(thumbnail);
+    row.appendChild(details);
+    row.appendChild(exportButton);
+    row.appendChild(remove);
+    listContainer.appendChild(row);
+  }
+
+  updateTemplateListProgress();
+}
+
+/** Queues a template to be moved by a number of pixels.
+ * Nudges made within a short time of each other are added together, so the template is only chunked once.
+ * @param {string} storageKey - The key of the template to move
+ * @param {number} deltaX - How many pixels to move right (negative moves left)
+ * @param {number} deltaY - How many pixels to move down (negative moves up)
+ * @since 0.85.8
+ */
+function queueTemplateNudge(storageKey, deltaX, deltaY) {
+  const pending = queueTemplateNudge.pending ??= new Map(); // Storage key -> {deltaX, deltaY, timeout}
+  const nudge = pending.get(storageKey) || { deltaX: 0, deltaY: 0, timeout: null };
+
+  nudge.deltaX += deltaX;
+  nudge.deltaY += deltaY;
+  clearTimeout(nudge.timeout);
+  nudge.timeout = setTimeout(() => {
+    pending.delete(storageKey);
+    templateManager.nudgeTemplate(storageKey, nudge.deltaX, nudge.deltaY);
+  }, 400);
+
+  pending.set(storageKey, nudge);
+  overlayTabTemplate.handleDisplayStatus(`Moving template by ${nudge.deltaX}, ${nudge.deltaY}...`);
+}
+
+/** Downloads templates as a Blue Marble template file.
+ * @param {Array<string>} [storageKeys] - The keys of the templates to export. Exports every template when omitted
+ * @param {string} fileName - The name of the file, without the extension
+ * @since 0.85.3
+ */
+async function exportTemplates(storageKeys, fileName) {
+  const json = await templateManager.exportJSON(storageKeys);
+  const safeFileName = fileName.replace(/[^\w\- ]+/g, '_') || 'BlueMarble-Template'; // Removes characters that are not allowed in file names
+  downloadBlob(new Blob([JSON.stringify(json)], { type: 'application/json' }), `${safeFileName}.json`);
+  overlayTabTemplate.handleDisplayStatus(`Exported ${Object.keys(json.templates).length} template(s)!`);
+}
+
+/** Updates the progress text of every row in the template manager panel.
+ * This is cheaper than rebuilding the list, so it runs every time a tile is drawn.
+ * @since 0.85.2
+ */
+function updateTemplateListProgress() {
+  for (const row of document.querySelectorAll('#bm-template-list .bm-template-row')) {
+    const template = templateManager.getTemplate(row.dataset.storageKey);
+    const progress = row.querySelector('.bm-template-progress');
+    if (!template || !progress) {continue;}
+
+    const { painted, required, missing, wrong, erase, erased, checkedTiles, totalTiles, checkedAt } = template.getProgress();
+    const percent = required > 0 ? Math.floor((painted / required) * 100) : 0;
+    const format = new Intl.NumberFormat().format;
+    progress.textContent = `Painted ${format(painted)} / ${format(required)} (${percent}%) • Missing ${format(missing)} • Wrong ${format(wrong)}` +
+      (erase > 0 ? ` • Erased ${format(erased)} / ${format(erase)}` : '');
+    progress.title = `Checked ${checkedTiles} / ${totalTiles} tiles` + (checkedAt ? `. Least recently checked at ${new Date(checkedAt).toLocaleTimeString()}` : '');
+
+    // Rates and ETA from the progress history
+    const history = template.getHistoryStats();
+    const sparkline = row.querySelector('.bm-template-sparkline');
+    const rate = row.querySelector('.bm-template-rate');
+    if (sparkline) {
+      sparkline.hidden = !history;
+      if (history) {drawSparkline(sparkline, history.snapshots.map(snapshot => snapshot[1]));}
+    }
+    if (rate) {
+      rate.textContent = !history ? 'Check all tiles over time to see the rate' :
+        `+${format(Math.round(history.paintedPerHour))}/h • Griefed ${format(Math.round(history.lostPerHour))}/h • ` +
+        (missing + wrong == 0 ? 'Complete!' : history.eta != null ? `ETA ${formatDuration(history.eta)}` : 'ETA never');
+      rate.title = history ? `Net ${format(Math.round(history.netPerHour))} pixels per hour, from ${history.snapshots.length} snapshots` : '';
+    }
+  }
+}
+
+/** Draws a line of values into a canvas, scaled so the smallest value is at the bottom and the largest at the top.
+ * @param {HTMLCanvasElement} canvas - The canvas to draw into
+ * @param {Array<number>} values - The values to draw, oldest first
+ * @since 0.85.15
+ */
+function drawSparkline(canvas, values) {
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+
+  context.strokeStyle = 'CornflowerBlue';
+  context.lineWidth = 1.5;
+  context.beginPath();
+  values.forEach((value, index) => {
+    const x = (index / (values.length - 1)) * (canvas.width - 2) + 1;
+    const y = range ? (canvas.height - 2) - ((value - min) / range) * (canvas.height - 4) : canvas.height / 2; // A flat line is drawn in the middle
+    index == 0 ? context.moveTo(x, y) : context.lineTo(x, y);
+  });
+  context.stroke();
 }
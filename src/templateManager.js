@@ -1,5 +1,54 @@
-import Template from "./Template";
-import { base64ToUint8, numberToEncoded } from "./utils";
+import Template from "./Template.js";
+import TemplateWorker from "./templateWorker.js";
+import { base64ToUint8, colorpalette, compareVersions, estimatePaintCost, globalToTilePixel, hashBlob, numberToEncoded, parseCoordsFromText, requestBlob, uint8ToBase64 } from "./utils.js";
+
+/** The steps to upgrade a Blue Marble template object to the current JSON schema, oldest first.
+ * Each step upgrades the object from the `from` version to the `to` version, and might be async.
+ * A template object is upgraded by running every step newer than its version, in order.
+ * @since 0.85.6
+ */
+const schemaMigrations = [
+  {
+    from: '1.0.0',
+    to: '2.0.0',
+    /** Stores the coordinates as numbers instead of a string, and always stores the enabled flag */
+    migrate(json) {
+      for (const templateValue of Object.values(json.templates || {})) {
+        if (typeof templateValue.coords == 'string') {
+          templateValue.coords = templateValue.coords.split(',').map(Number); // "1, 2, 3, 4" -> [1, 2, 3, 4]
+        }
+        templateValue.enabled = templateValue.enabled !== false;
+      }
+      return json;
+    }
+  },
+  {
+    from: '2.0.0',
+    to: '3.0.0',
+    /** Stores each template as one image at 1x scale, instead of a 3x scale PNG for every tile it touches */
+    async migrate(json) {
+      for (const templateValue of Object.values(json.templates || {})) {
+        if (!templateValue['tiles']) {continue;} // The stored key is quoted, so minifying does not rename it
+
+        // Rebuilds the original image from the tiles
+        const template = new Template();
+        template.chunked = {};
+        for (const [tileName, base64] of Object.entries(templateValue['tiles'])) {
+          template.chunked[tileName] = await createImageBitmap(new Blob([base64ToUint8(base64)], { type: 'image/png' }));
+        }
+        const image = await template.createImageFromTiles();
+
+        if (image) {
+          const blob = await image.canvas.convertToBlob({ type: 'image/png' });
+          templateValue.image = uint8ToBase64(new Uint8Array(await blob.arrayBuffer()));
+          templateValue.coords = image.coords; // The image starts at the top left corner of the tiles
+        }
+        delete templateValue['tiles'];
+      }
+      return json;
+    }
+  }
+];
 
 /** Manages the template system.
  * This class handles all external requests for template modification, creation, and analysis.
@@ -11,25 +60,24 @@ import { base64ToUint8, numberToEncoded } from "./utils";
  * {
  *   "whoami": "BlueMarble",
  *   "scriptVersion": "1.13.0",
- *   "schemaVersion": "2.1.0",
+ *   "schemaVersion": "3.0.0",
  *   "templates": {
  *     "0 $Z": {
  *       "name": "My Template",
+ *       "coords": [1231, 47, 183, 593],
  *       "enabled": true,
- *       "tiles": {
- *         "1231,0047,183,593": "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA",
- *         "1231,0048,183,000": "data:image/png;AAAFCAYAAACNbyblAAAAHElEQVQI12P4"
- *       }
+ *       "opacity": 0.8,
+ *       "blend": "grayscale",
+ *       "image": "iVBORw0KGgoAAAANSUhEUgAAAAUAAAAFCAYAAACNbyblAAAAHElEQVQI12P4",
+ *       "history": [[1760000000000, 120, 30, 2], [1760000300000, 135, 15, 2]]
  *     },
  *     "1 $Z": {
  *       "name": "My Template",
  *       "URL": "https://github.com/SwingTheVine/Wplace-BlueMarble/blob/main/dist/assets/Favicon.png",
  *       "URLType": "template",
+ *       "coords": [375, 1846, 276, 188],
  *       "enabled": false,
- *       "tiles": {
- *         "375,1846,276,188": "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA",
- *         "376,1846,000,188": "data:image/png;AAAFCAYAAACNbyblAAAAHElEQVQI12P4"
- *       }
+ *       "image": "iVBORw0KGgoAAAANSUhEUgAAAAUAAAAFCAYAAACNbyblAAAAHElEQVQI12P4"
  *     }
  *   }
  * }
@@ -45,11 +93,20 @@ export default class TemplateManager {
     this.name = name; // Name of userscript
     this.version = version; // Version of userscript
     this.overlay = overlay; // The main instance of the Overlay class
-    this.templatesVersion = '1.0.0'; // Version of JSON schema
+    this.templatesVersion = '3.0.0'; // Version of JSON schema
+    this.isStorageLocked = false; // Should storing templates be refused? True when the stored templates are from a newer version of Blue Marble
     this.userID = null; // The ID of the current user
+    this.ownedColorIDs = null; // The IDs of the colors the current user can paint. Null until the user data is known
+    this.charges = null; // The charges of the current user as {count, max, cooldownMs, time}, where "count" is the charges at "time". Null until the user data is known
+    this.droplets = null; // The droplets of the current user. Null until the user data is known
+    this.premiumColorPrice = 2000; // The droplets it costs to buy one premium color
+    this.chargeAlert = { 'enabled': false, 'threshold': 0, 'notification': false, 'sound': false, 'title': true }; // When, and how, to alert the user about their charges. A threshold of 0 waits for full charges. The keys are stored, so they are quoted
+    this.chargeAlertTimer = null; // Fires when the charges reach the alert threshold
     this.encodingBase = '!#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[]^_`abcdefghijklmnopqrstuvwxyz{|}~'; // Characters to use for encoding/decoding
     this.tileSize = 1000; // The number of pixels in a tile. Assumes the tile is square
+    this.worker = new TemplateWorker(); // Processes template pixels away from the main thread
     this.drawMult = 3; // The enlarged size for each pixel. E.g. when "3", a 1x1 pixel becomes a 1x1 pixel inside a 3x3 area. MUST BE ODD
+    this.shreadSize = 3; // The scale template tiles are chunked at. Unlike drawMult, this never changes. MUST BE ODD
     
     // Template
     this.canvasTemplate = null; // Our canvas
@@ -61,7 +118,19 @@ export default class TemplateManager {
     this.templatesArray = []; // All Template instnaces currently loaded (Template)
     this.templatesJSON = null; // All templates currently loaded (JSON)
     this.templatesShouldBeDrawn = true; // Should ALL templates be drawn to the canvas?
-    this.tileProgress = new Map(); // Tracks per-tile progress stats {painted, required, wrong}
+    this.renderMode = 'full'; // Which template pixels are drawn. "full", "missing", "wrong", or "correct"
+    this.renderStyle = 'dot'; // How each template pixel is drawn. "dot", "full", "outline", "crosshair", or "symbol"
+    this.fillOpacity = 0.5; // The opacity of the "full" render style, from 0 to 1
+    this.tileProgress = new Map(); // Tracks per-tile progress stats {painted, required, missing, wrong, checkedAt}
+    this.tileURL = 'https://backend.wplace.live/files/s0/tiles/{x}/{y}.png'; // Where tiles are downloaded from. Updated to the last tile URL the website used
+    this.isCheckingProgress = false; // Is every tile of the templates being checked right now?
+    this.isRefreshingURLs = false; // Are the URL templates being fetched again right now?
+    this.damageLog = []; // Template pixels that were done, then damaged. Oldest first, as {name, coords, oldColor, newColor, time}. The keys are quoted, since the log is stored
+    this.damageAlert = { 'threshold': 10, 'status': true, 'notification': false, 'sound': false }; // When, and how, to alert the user about damage. The keys are quoted, since the settings are stored
+    this.unalertedDamage = 0; // The number of pixels damaged since the last alert
+    this.hoveredTemplateKey = null; // The storage key of the template the mouse is over in the template list
+    this.tileBlobs = new Map(); // The newest images of a few tiles, by tile prefix, as {blob, time}. "blob" is a promise while the tile downloads. Lets the pixel inspector read a tile without downloading it again
+    try { this.damageLog = JSON.parse(GM_getValue('bmDamageLog', '[]')) || []; } catch (_) { this.damageLog = []; }
   }
 
   /** Retrieves the pixel art canvas.
@@ -117,10 +186,52 @@ export default class TemplateManager {
     };
   }
 
+  /** Converts an image to the Wplace palette, so every pixel is a color that can be painted.
+   * @param {Blob} blob - The image to convert
+   * @param {Object} [options] - How to convert the image
+   * @param {string} [options.colors='free'] - Which colors to use. "free" (free colors), "all" (free and premium colors), "owned" (the colors the user can paint), or "custom" (only `colorIDs`)
+   * @param {Array<number>} [options.colorIDs=[]] - The IDs of the colors to use, when `colors` is "custom"
+   * @param {string} [options.dither='none'] - "none", "floyd-steinberg", or "ordered"
+   * @param {string} [options.distance='lab'] - How the nearest color is found. "lab" (perceptual) or "rgb"
+   * @returns {Promise<{blob: Blob, pixelCount: number, changedPixelCount: number}>} The converted image as a PNG, how many pixels it has, and how many of them changed
+   * @since 0.85.20
+   */
+  async convertImage(blob, { colors = 'free', colorIDs = [], dither = 'none', distance = 'lab' } = {}) {
+
+    const palette = colorpalette
+      .filter(color => color.id != 0) // Transparent is not a color that can be matched
+      .filter(color => {
+        switch (colors) {
+          case 'all': return true;
+          case 'owned': return this.ownedColorIDs?.has(color.id) ?? !color.premium; // Only the free colors are known to be owned before the user data is
+          case 'custom': return colorIDs.includes(color.id);
+          default: return !color.premium;
+        }
+      })
+      .map(color => color.rgb);
+
+    if (palette.length == 0) {throw new Error('No colors were chosen to convert to');}
+
+    const bitmap = await createImageBitmap(blob);
+    return this.worker.run('quantize', { bitmap, palette, dither, distance }, [bitmap]);
+  }
+
+  /** Crops, resizes, flips and rotates an image before it becomes a template.
+   * @param {Blob} blob - The image to change
+   * @param {Object} [options] - See the "transform" job of the template worker
+   * @returns {Promise<{blob: Blob, width: number, height: number, pixelCount: number}>} The changed image as a PNG, its size, and the pixels the template would have
+   * @since 0.85.21
+   */
+  async transformImage(blob, options = {}) {
+    const bitmap = await createImageBitmap(blob);
+    return this.worker.run('transform', { ...options, bitmap }, [bitmap]);
+  }
+
   /** Creates the template from the inputed file blob
    * @param {File} blob - The file blob to create a template from
    * @param {string} name - The display name of the template
    * @param {Array<number, number, number, number>} coords - The coordinates of the top left corner of the template
+   * @returns {Promise<Template>} The created template
    * @since 0.65.77
    */
   async createTemplate(blob, name, coords) {
@@ -133,28 +244,28 @@ export default class TemplateManager {
     // Creates a new template instance
     const template = new Template({
       displayName: name,
-      sortID: 0, // Object.keys(this.templatesJSON.templates).length || 0, // Uncomment this to enable multiple templates (1/2)
+      sortID: this.#getNextSortID(), // Draws above every template already loaded
       authorID: numberToEncoded(this.userID || 0, this.encodingBase),
       file: blob,
       coords: coords
     });
     //template.chunked = await template.createTemplateTiles(this.tileSize); // Chunks the tiles
-    const { templateTiles, templateTilesBuffers } = await template.createTemplateTiles(this.tileSize); // Chunks the tiles
+    const { templateTiles, templateImage } = await template.createTemplateTiles(this.worker); // Chunks the tiles
     template.chunked = templateTiles; // Stores the chunked tile bitmaps
+    await this.worker.indexTemplate(template, this.shreadSize); // Caches the template pixels for drawing
 
     // Appends a child into the templates object
-    // The child's name is the number of templates already in the list (sort order) plus the encoded player ID
+    // The child's name is the sort order of the template plus the encoded player ID
     const storageKey = `${template.sortID} ${template.authorID}`;
     template.storageKey = storageKey;
     this.templatesJSON.templates[storageKey] = {
       "name": template.displayName, // Display name of template
-      "coords": coords.join(', '), // The coords of the template
-      "enabled": true,
-      "tiles": templateTilesBuffers, // Stores the chunked tile buffers
+      "coords": coords, // The coords of the template
+      "enabled": template.enabled,
+      "image": templateImage, // Stores the template at 1x scale. The tiles are chunked again when loaded
       "palette": template.colorPalette // Persist palette and enabled flags
     };
 
-    this.templatesArray = []; // Remove this to enable multiple templates (2/2)
     this.templatesArray.push(template); // Pushes the Template object instance to the Template Array
 
     // ==================== PIXEL COUNT DISPLAY SYSTEM ====================
@@ -164,12 +275,8 @@ export default class TemplateManager {
     this.overlay.handleDisplayStatus(`Template created at ${coords.join(', ')}! Total pixels: ${pixelCountFormatted}`);
 
     // Ensure color filter UI is visible when a template is created
-    try {
-      const colorUI = document.querySelector('#bm-contain-colorfilter');
-      if (colorUI) { colorUI.style.display = ''; }
-      // Deferred palette list rendering; actual DOM is built in main via helper
-      window.postMessage({ source: 'blue-marble', bmEvent: 'bm-rebuild-color-list' }, '*');
-    } catch (_) { /* no-op */ }
+    // Deferred palette list rendering; actual DOM is built in main via helper
+    this.#announceTemplatesChanged();
 
     console.log(Object.keys(this.templatesJSON.templates).length);
     console.log(this.templatesJSON);
@@ -177,6 +284,266 @@ export default class TemplateManager {
     console.log(JSON.stringify(this.templatesJSON));
 
     await this.#storeTemplates();
+
+    return template;
+  }
+
+  /** Creates templates from a file on the internet.
+   * The URL is remembered, so the template(s) can follow changes made to the file.
+   * @param {string} url - The URL of the file
+   * @param {string} urlType - What the URL points to. "template" for an image, or "json" for a Blue Marble template file
+   * @param {string} name - The display name of the template (URL type "template" only)
+   * @param {Array<number, number, number, number>} coords - The coordinates of the top left corner of the template (URL type "template" only)
+   * @param {number} [refreshMinutes=0] - How often the URL is fetched again to check for changes. 0 = never
+   * @since 0.85.4
+   */
+  async createTemplateFromURL(url, urlType, name, coords, refreshMinutes = 0) {
+
+    this.overlay.handleDisplayStatus(`Downloading template from ${url}...`);
+
+    let blob = null;
+    try {
+      blob = await requestBlob(url);
+    } catch (exception) {
+      console.warn('Failed to download template:', exception);
+      this.overlay.handleDisplayError(`Could not download the template!\nIs the URL correct?`);
+      return;
+    }
+
+    const hash = await hashBlob(blob);
+    const createdTemplates = new Map(); // Key in the downloaded file -> Template
+
+    if (urlType == 'json') {
+
+      let json = null;
+      try {
+        json = JSON.parse(await blob.text());
+      } catch (_) {}
+
+      if (json?.whoami != 'BlueMarble') {
+        this.overlay.handleDisplayError(`Could not create the template!\nThe URL is not a Blue Marble template file.`);
+        return;
+      }
+
+      for (const [urlKey, template] of await this.importJSON(json)) {
+        createdTemplates.set(urlKey, template);
+      }
+    } else {
+      createdTemplates.set(null, await this.createTemplate(blob, name, coords));
+    }
+
+    // Remembers where the templates came from
+    for (const [urlKey, template] of createdTemplates) {
+      template.url = url;
+      template.urlType = urlType;
+      template.urlKey = urlKey;
+      template.urlHash = hash;
+      template.urlRefreshMinutes = refreshMinutes;
+      template.urlRefreshedAt = Date.now();
+      await this.saveTemplate(template);
+    }
+
+    this.overlay.handleDisplayStatus(`Created ${createdTemplates.size} template${createdTemplates.size == 1 ? '' : 's'} from ${url}!`);
+  }
+
+  /** Fetches the URL of every URL template that is due for a refresh.
+   * Templates are only chunked again if the file they came from changed.
+   * @param {boolean} [force=false] - Should every URL template be refreshed, even if it is not due?
+   * @since 0.85.4
+   */
+  async refreshTemplateURLs(force = false) {
+
+    // A slow download must finish first, or the same templates would be imported twice
+    if (this.isRefreshingURLs) {return;}
+    this.isRefreshingURLs = true;
+
+    try {
+      await this.#refreshDueTemplateURLs(force);
+    } finally {
+      this.isRefreshingURLs = false;
+    }
+  }
+
+  /** Fetches the URL of every URL template that is due for a refresh. See {@link refreshTemplateURLs}
+   * @param {boolean} force - Should every URL template be refreshed, even if it is not due?
+   * @since 0.85.4
+   */
+  async #refreshDueTemplateURLs(force) {
+
+    // Groups the templates by URL, since one Blue Marble template file can contain many templates
+    const templatesByURL = new Map();
+    for (const template of this.templatesArray) {
+      if (!template.url) {continue;}
+
+      const isDue = template.urlRefreshMinutes > 0 && (Date.now() - template.urlRefreshedAt) >= template.urlRefreshMinutes * 60000;
+      if (!force && !isDue) {continue;}
+
+      templatesByURL.set(template.url, [...(templatesByURL.get(template.url) || []), template]);
+    }
+
+    for (const [url, templates] of templatesByURL) {
+      try {
+        if (templates[0].urlType == 'json') {
+          await this.#refreshTemplateFileURL(url, templates);
+        } else {
+          for (const template of templates) {await this.#refreshTemplateImageURL(template);}
+        }
+      } catch (exception) {
+        console.warn(`Failed to refresh template from ${url}:`, exception);
+        this.overlay.handleDisplayError(`Could not refresh the template from ${url}!`);
+      }
+    }
+  }
+
+  /** Starts checking the URL templates for changes every minute.
+   * The next check waits for the last one to finish, so slow downloads never overlap.
+   * @since 0.85.4
+   */
+  startURLRefresh() {
+    const refresh = async () => {
+      try {
+        await this.refreshTemplateURLs();
+      } finally {
+        setTimeout(refresh, 1000 * 60);
+      }
+    };
+    setTimeout(refresh, 1000 * 60);
+  }
+
+  /** Refreshes a template that was created from an image URL.
+   * @param {Template} template - The template to refresh
+   * @since 0.85.4
+   */
+  async #refreshTemplateImageURL(template) {
+
+    const blob = await requestBlob(template.url);
+    const hash = await hashBlob(blob);
+
+    template.urlRefreshedAt = Date.now();
+
+    // If the image did not change, nothing needs to be chunked
+    if (hash == template.urlHash) {
+      await this.saveTemplate(template);
+      return;
+    }
+
+    const coords = template.coords ?? template.getCoordsFromTiles();
+    template.urlHash = hash;
+    await this.#rechunkTemplate(template, blob, coords);
+
+    this.overlay.handleDisplayStatus(`Template "${template.displayName}" was updated from ${template.url}!`);
+  }
+
+  /** Refreshes the templates that were created from a Blue Marble template file URL.
+   * If the file changed, the templates are imported again, keeping the local draw order, enabled state, and color toggles.
+   * @param {string} url - The URL of the Blue Marble template file
+   * @param {Array<Template>} templates - The templates that were created from the URL
+   * @since 0.85.4
+   */
+  async #refreshTemplateFileURL(url, templates) {
+
+    const blob = await requestBlob(url);
+    const hash = await hashBlob(blob);
+
+    // If the file did not change, nothing needs to be imported
+    if (templates.every(template => template.urlHash == hash)) {
+      for (const template of templates) {
+        template.urlRefreshedAt = Date.now();
+        await this.saveTemplate(template);
+      }
+      return;
+    }
+
+    const json = JSON.parse(await blob.text());
+    if (json?.whoami != 'BlueMarble') {throw new Error(`${url} is not a Blue Marble template file`);}
+
+    // Imports the updated templates next to the outdated templates, so the outdated templates are kept if the import fails
+    const loadedTemplates = new Set(this.templatesArray);
+    let importedTemplates = new Map();
+    try {
+      importedTemplates = await this.importJSON(json);
+      if (importedTemplates.size == 0) {throw new Error(`${url} has no templates this version of Blue Marble can read`);}
+    } catch (exception) {
+      // Unloads the templates that were imported before the import failed
+      for (const template of this.templatesArray.filter(loaded => !loadedTemplates.has(loaded))) {
+        this.#unloadTemplate(template);
+      }
+      this.#announceTemplatesChanged();
+      throw exception;
+    }
+
+    // Removes the outdated templates, remembering their local settings
+    const previousTemplates = new Map(templates.map(template => [template.urlKey, template]));
+    for (const template of templates) {this.#unloadTemplate(template);}
+
+    const desiredSortIDs = new Map(); // Template -> Sort ID it should have
+
+    for (const [urlKey, template] of importedTemplates) {
+      const previous = previousTemplates.get(urlKey);
+
+      template.url = url;
+      template.urlType = 'json';
+      template.urlKey = urlKey;
+      template.urlHash = hash;
+      template.urlRefreshMinutes = previous?.urlRefreshMinutes ?? templates[0].urlRefreshMinutes;
+      template.urlRefreshedAt = Date.now();
+
+      if (previous) {
+        template.enabled = previous.enabled;
+        for (const [rgb, meta] of Object.entries(previous.colorPalette)) {
+          if (template.colorPalette[rgb]) {template.colorPalette[rgb].enabled = meta.enabled;}
+        }
+        desiredSortIDs.set(template, previous.sortID - 0.5); // Just underneath where the previous template was drawn
+      }
+
+      await this.saveTemplate(template);
+    }
+
+    // Puts the updated templates back where the outdated templates were in the draw order
+    const order = this.getSortedTemplates()
+      .sort((a, b) => (desiredSortIDs.get(a) ?? a.sortID) - (desiredSortIDs.get(b) ?? b.sortID))
+      .map(template => template.storageKey);
+    await this.reorderTemplates(order);
+
+    this.overlay.handleDisplayStatus(`Templates from ${url} were updated!`);
+  }
+
+  /** Chunks a template again from a new image, or at new coordinates.
+   * The name, sort ID, and color toggles of the template are kept.
+   * @param {Template} template - The template to chunk again
+   * @param {Blob} blob - The image of the template
+   * @param {Array<number, number, number, number>} coords - The coordinates of the top left corner of the template
+   * @since 0.85.4
+   */
+  async #rechunkTemplate(template, blob, coords) {
+
+    const previousPalette = template.colorPalette; // Remembers which colors were toggled off
+    const previousTiles = template.chunked; // Closed once the new tiles replace them
+
+    template.file = blob;
+    template.coords = coords;
+    template.tilePrefixes = new Set();
+    template.tileProgress.clear(); // The progress of the old tiles no longer applies
+    template.history = []; // The history of the old image no longer applies
+    template.thumbnail = null;
+
+    const { templateTiles, templateImage } = await template.createTemplateTiles(this.worker); // Chunks the tiles
+    template.chunked = templateTiles;
+    Object.values(previousTiles || {}).forEach(bitmap => bitmap.close?.()); // Frees the memory of the old tile bitmaps, since nudging chunks the template many times
+    await this.worker.indexTemplate(template, this.shreadSize); // Replaces the cached pixels of the old tiles
+
+    for (const [rgb, meta] of Object.entries(previousPalette)) {
+      if (template.colorPalette[rgb]) {template.colorPalette[rgb].enabled = meta.enabled;}
+    }
+
+    const templateJSON = this.templatesJSON?.templates?.[template.storageKey];
+    if (templateJSON) {
+      templateJSON.coords = coords;
+      templateJSON.image = templateImage;
+    }
+
+    await this.saveTemplate(template);
+    this.#announceTemplatesChanged();
   }
 
   /** Generates a {@link Template} class instance from the JSON object template
@@ -185,28 +552,347 @@ export default class TemplateManager {
 
   }
 
+  /** Retrieves a loaded template by the key it is stored under.
+   * @param {string} storageKey - The key of the template inside `templatesJSON.templates`
+   * @returns {Template|undefined} The template, if it is loaded
+   * @since 0.85.1
+   */
+  getTemplate(storageKey) {
+    return this.templatesArray.find(template => template.storageKey === storageKey);
+  }
+
+  /** Returns the loaded templates, sorted by draw order.
+   * The first template is the lowest draw priority (drawn first, underneath every other template).
+   * @returns {Array<Template>} A sorted copy of the template array
+   * @since 0.85.1
+   */
+  getSortedTemplates() {
+    return [...this.templatesArray].sort((a, b) => a.sortID - b.sortID);
+  }
+
+  /** Finds the sort ID a new template should use so it draws above all loaded templates.
+   * @returns {number} The next unused sort ID
+   * @since 0.85.1
+   */
+  #getNextSortID() {
+    return this.templatesArray.reduce((max, template) => Math.max(max, template.sortID + 1), 0);
+  }
+
+  /** Writes the mutable properties of a template into the JSON object, then stores the JSON object.
+   * Call this after changing a template (e.g. toggling a palette color) so the change survives a reload.
+   * @param {Template} template - The template to save
+   * @since 0.85.1
+   */
+  async saveTemplate(template) {
+
+    const templateJSON = this.templatesJSON?.templates?.[template?.storageKey];
+
+    if (!templateJSON) {return;} // Kills itself if the template was never stored
+
+    templateJSON.name = template.displayName;
+    templateJSON.enabled = template.enabled;
+    templateJSON.palette = template.colorPalette;
+    templateJSON.history = template.history;
+    templateJSON.opacity = template.opacity;
+    templateJSON.blend = template.blend;
+
+    // Remembers where the template came from, if it came from the internet
+    if (template.url) {
+      templateJSON.URL = template.url;
+      templateJSON['URLType'] = template.urlType;
+      templateJSON['URLKey'] = template.urlKey;
+      templateJSON['URLHash'] = template.urlHash;
+      templateJSON['URLRefreshMinutes'] = template.urlRefreshMinutes;
+      templateJSON['URLRefreshedAt'] = template.urlRefreshedAt;
+    }
+
+    await this.#storeTemplates();
+  }
+
   /** Stores the JSON object of the loaded templates into TamperMonkey (GreaseMonkey) storage.
    * @since 0.72.7
    */
   async #storeTemplates() {
+
+    // Storing would overwrite templates this version of Blue Marble can not read
+    if (this.isStorageLocked) {
+      this.overlay.handleDisplayError(`Templates were not saved!\nThe stored templates are from a newer version of Blue Marble. Update Blue Marble to save templates.`);
+      return;
+    }
+
     GM.setValue('bmTemplates', JSON.stringify(this.templatesJSON));
   }
 
+  /** Loads the templates stored in TamperMonkey (GreaseMonkey) storage.
+   * If the stored templates use an older JSON schema, they are upgraded, and the original is kept as a backup in `bmTemplatesBackup`.
+   * @since 0.85.6
+   */
+  async loadStoredTemplates() {
+
+    const storedText = GM_getValue('bmTemplates', '{}');
+
+    let storedJSON = {};
+    try {
+      storedJSON = JSON.parse(storedText);
+    } catch (exception) {
+      console.warn('Failed to parse the stored templates:', exception);
+      GM.setValue('bmTemplatesBackup', storedText); // Keeps the unreadable templates, in case they can be recovered
+      this.overlay.handleDisplayError(`The stored templates are corrupted!\nA backup was kept.`);
+      return;
+    }
+
+    if (storedJSON?.whoami != 'BlueMarble') {return;} // Kills itself if there are no stored templates
+
+    const storedVersion = storedJSON.schemaVersion || '1.0.0';
+
+    if (compareVersions(storedVersion, this.templatesVersion) < 0) {
+      GM.setValue('bmTemplatesBackup', storedText); // Keeps the pre-migration templates, in case the migration goes wrong
+      console.log(`Backed up templates with schema ${storedVersion} before migrating...`);
+    }
+
+    const migratedJSON = await this.#migrateJSON(storedJSON);
+
+    if (!migratedJSON) {
+      this.isStorageLocked = true; // Prevents this version from overwriting templates it can not read
+      return;
+    }
+
+    await this.importJSON(migratedJSON);
+
+    // Stores the templates in the current schema
+    if (compareVersions(storedVersion, this.templatesVersion) < 0) {
+      await this.#storeTemplates();
+      this.overlay.handleDisplayStatus(`Upgraded stored templates from schema ${storedVersion} to ${this.templatesVersion}!`);
+    }
+  }
+
+  /** Upgrades a Blue Marble template object to the current JSON schema, one version at a time.
+   * Objects from a newer major version are refused, since this version can not know how to read them.
+   * @param {Object} json - The parsed Blue Marble template object
+   * @returns {Promise<Object|null>} The upgraded object, or null if the object is from a newer major version
+   * @since 0.85.6
+   */
+  async #migrateJSON(json) {
+
+    const version = json.schemaVersion || '1.0.0'; // Template objects without a version were made before versioning
+
+    // If the object is from a newer major version...
+    if (Number(version.split('.')[0]) > Number(this.templatesVersion.split('.')[0])) {
+      this.overlay.handleDisplayError(`Could not load templates with schema ${version}!\nUpdate Blue Marble to load these templates.`);
+      return null;
+    }
+
+    // If the object is from a newer minor version, the unknown properties are kept, but ignored
+    if (compareVersions(version, this.templatesVersion) > 0) {
+      console.warn(`Templates use schema ${version}, which is newer than ${this.templatesVersion}. Unknown properties will be ignored.`);
+      return json;
+    }
+
+    // Runs every migration step that is newer than the object
+    for (const migration of schemaMigrations) {
+      if (compareVersions(json.schemaVersion || '1.0.0', migration.to) >= 0) {continue;} // Already upgraded past this step
+
+      console.log(`Migrating templates from schema ${migration.from} to ${migration.to}...`);
+      json = await migration.migrate(json);
+      json.schemaVersion = migration.to;
+    }
+
+    return json;
+  }
+
   /** Deletes a template from the JSON object.
    * Also delete's the corrosponding {@link Template} class instance
+   * @param {string} storageKey - The key of the template inside `templatesJSON.templates`
+   * @since 0.85.2
    */
-  deleteTemplate() {
+  async deleteTemplate(storageKey) {
+
+    const template = this.getTemplate(storageKey);
+
+    if (!template) {return;} // Kills itself if the template does not exist
 
+    this.#unloadTemplate(template);
+
+    this.overlay.handleDisplayStatus(`Deleted template "${template.displayName}"!`);
+
+    await this.#storeTemplates();
+    this.#announceTemplatesChanged();
+  }
+
+  /** Removes a template from the template array, the JSON object, and the worker.
+   * Nothing is stored, so the caller decides when the change is saved.
+   * @param {Template} template - The template to unload
+   * @since 0.85.4
+   */
+  #unloadTemplate(template) {
+    this.templatesArray = this.templatesArray.filter(loaded => loaded !== template);
+    delete this.templatesJSON?.templates?.[template.storageKey];
+    this.worker.forgetTemplate(template);
   }
 
   /** Disables the template from view
+   * @param {string} storageKey - The key of the template inside `templatesJSON.templates`
+   * @param {boolean} [isDisabled=true] - Should the template be disabled? Pass in false to enable the template
+   * @since 0.85.2
    */
-  async disableTemplate() {
+  async disableTemplate(storageKey, isDisabled = true) {
 
     // Creates the JSON object if it does not already exist
     if (!this.templatesJSON) {this.templatesJSON = await this.createJSON(); console.log(`Creating JSON...`);}
 
+    const template = this.getTemplate(storageKey);
+
+    if (!template) {return;} // Kills itself if the template does not exist
+
+    template.enabled = !isDisabled;
+
+    this.overlay.handleDisplayStatus(`${isDisabled ? 'Disabled' : 'Enabled'} template "${template.displayName}"!`);
+
+    await this.saveTemplate(template);
+  }
+
+  /** Changes the display name of a template.
+   * @param {string} storageKey - The key of the template inside `templatesJSON.templates`
+   * @param {string} name - The new display name
+   * @since 0.85.2
+   */
+  async renameTemplate(storageKey, name) {
+
+    const template = this.getTemplate(storageKey);
+
+    if (!template || !name?.trim()) {return;} // Kills itself if the template does not exist, or the name is blank
 
+    template.displayName = name.trim();
+
+    await this.saveTemplate(template);
+    this.#announceTemplatesChanged();
+  }
+
+  /** Changes how a template is blended with the tile it is drawn on.
+   * Tiles are drawn with the new look the next time the website loads them.
+   * @param {string} storageKey - The key of the template to change
+   * @param {Object} settings - The settings to change. Missing settings are not changed
+   * @param {number} [settings.opacity] - The opacity of the template, from 0 to 1
+   * @param {string} [settings.blend] - "normal", "grayscale" (drawn in gray), "yellow-edge" (a yellow edge around every pixel), or "highlight-on-hover" (a yellow edge while the template is hovered in the template list)
+   * @since 0.85.18
+   */
+  async setTemplateBlend(storageKey, { opacity, blend } = {}) {
+
+    const template = this.getTemplate(storageKey);
+
+    if (!template) {return;} // Kills itself if the template does not exist
+
+    if (opacity != null && Number.isFinite(Number(opacity))) {template.opacity = Math.min(Math.max(Number(opacity), 0), 1);}
+    if (['normal', 'grayscale', 'yellow-edge', 'highlight-on-hover'].includes(blend)) {template.blend = blend;}
+
+    await this.saveTemplate(template);
+  }
+
+  /** Remembers which template the mouse is over in the template list.
+   * Templates with the "highlight-on-hover" blend are drawn with a yellow edge while they are hovered.
+   * Tiles are drawn with the new look the next time the website loads them.
+   * @param {string|null} storageKey - The key of the hovered template, or null if no template is hovered
+   * @since 0.85.18
+   */
+  setHoveredTemplate(storageKey) {
+    this.hoveredTemplateKey = storageKey ?? null;
+  }
+
+  /** Finds how a template is blended right now.
+   * The "highlight-on-hover" blend is drawn as "yellow-edge" while the template is hovered, and as "normal" otherwise.
+   * @param {Template} template - The template to blend
+   * @returns {string} "normal", "grayscale", or "yellow-edge"
+   * @since 0.85.18
+   */
+  #getActiveBlend(template) {
+    if (template.blend != 'highlight-on-hover') {return template.blend;}
+    return template.storageKey === this.hoveredTemplateKey ? 'yellow-edge' : 'normal';
+  }
+
+  /** Changes the draw order of the templates.
+   * Every template is given a new sort ID based on its position, which also changes the key it is stored under.
+   * @param {Array<string>} storageKeys - The keys of the templates, from lowest draw priority to highest
+   * @since 0.85.2
+   */
+  async reorderTemplates(storageKeys) {
+
+    // Templates not named in the order keep their relative order, underneath the named templates
+    const named = storageKeys.map(storageKey => this.getTemplate(storageKey)).filter(Boolean);
+    const unnamed = this.getSortedTemplates().filter(template => !named.includes(template));
+
+    const templatesOld = this.templatesJSON?.templates || {};
+    const templatesNew = {};
+
+    [...unnamed, ...named].forEach((template, index) => {
+      const templateJSON = templatesOld[template.storageKey];
+      template.sortID = index;
+      template.storageKey = `${template.sortID} ${template.authorID}`;
+      if (templateJSON) {templatesNew[template.storageKey] = templateJSON;}
+    });
+
+    if (this.templatesJSON) {this.templatesJSON.templates = templatesNew;}
+
+    await this.#storeTemplates();
+    this.#announceTemplatesChanged();
+  }
+
+  /** Moves a template to new coordinates without uploading the image again.
+   * The template is chunked again at the new coordinates. The name, sort ID, and color toggles are kept.
+   * @param {string} storageKey - The key of the template inside `templatesJSON.templates`
+   * @param {Array<number, number, number, number>} coords - The new coordinates of the top left corner of the template
+   * @since 0.85.8
+   */
+  async moveTemplate(storageKey, coords) {
+
+    const template = this.getTemplate(storageKey);
+
+    if (!template) {return;} // Kills itself if the template does not exist
+
+    this.overlay.handleDisplayStatus(`Moving template "${template.displayName}" to ${coords.join(', ')}...`);
+
+    // Uses the uploaded image if it still exists. Otherwise, the image is rebuilt from the tiles
+    let blob = template.file;
+    if (!blob) {
+      const image = await template.createImageFromTiles();
+      if (!image) {this.overlay.handleDisplayError(`Could not move the template!\nThe template has no tiles.`); return;}
+      blob = await image.canvas.convertToBlob({ type: 'image/png' });
+    }
+
+    await this.#rechunkTemplate(template, blob, coords);
+
+    this.overlay.handleDisplayStatus(`Moved template "${template.displayName}" to ${coords.join(', ')}!`);
+  }
+
+  /** Moves a template by a number of pixels.
+   * @param {string} storageKey - The key of the template inside `templatesJSON.templates`
+   * @param {number} deltaX - How many pixels to move right (negative moves left)
+   * @param {number} deltaY - How many pixels to move down (negative moves up)
+   * @since 0.85.8
+   */
+  async nudgeTemplate(storageKey, deltaX, deltaY) {
+
+    const template = this.getTemplate(storageKey);
+    const coords = template?.coords ?? template?.getCoordsFromTiles();
+
+    if (!coords) {return;} // Kills itself if the template does not exist
+
+    const x = Math.max(0, coords[0] * this.tileSize + coords[2] + deltaX); // Global X coordinate. Can not go off the canvas
+    const y = Math.max(0, coords[1] * this.tileSize + coords[3] + deltaY); // Global Y coordinate. Can not go off the canvas
+
+    await this.moveTemplate(storageKey, globalToTilePixel(x, y, this.tileSize));
+  }
+
+  /** Tells the user interface that templates were added, removed, or changed.
+   * The overlay listens for these messages to rebuild the template list and color filter.
+   * @since 0.85.2
+   */
+  #announceTemplatesChanged() {
+    try {
+      const colorUI = document.querySelector('#bm-contain-colorfilter');
+      if (colorUI) { colorUI.style.display = ''; }
+      window.postMessage({ source: 'blue-marble', bmEvent: 'bm-rebuild-color-list' }, '*');
+      window.postMessage({ source: 'blue-marble', bmEvent: 'bm-rebuild-template-list' }, '*');
+    } catch (_) { /* no-op */ }
   }
 
   /** Draws all templates on the specified tile.
@@ -217,21 +903,19 @@ export default class TemplateManager {
    */
   async drawTemplateOnTile(tileBlob, tileCoords) {
 
+    this.#rememberTileBlob(tileCoords, Promise.resolve(tileBlob)); // The website just fetched the tile, so the pixel inspector can read this copy
+
     // Returns early if no templates should be drawn
     if (!this.templatesShouldBeDrawn) {return tileBlob;}
 
-    const drawSize = this.tileSize * this.drawMult; // Calculate draw multiplier for scaling
-
     // Format tile coordinates with proper padding for consistent lookup
     tileCoords = tileCoords[0].toString().padStart(4, '0') + ',' + tileCoords[1].toString().padStart(4, '0');
 
     console.log(`Searching for templates in tile: "${tileCoords}"`);
 
-    const templateArray = this.templatesArray; // Stores a copy for sorting
-    console.log(templateArray);
-
     // Sorts the array of Template class instances. 0 = first = lowest draw priority
-    templateArray.sort((a, b) => {return a.sortID - b.sortID;});
+    // Disabled templates are not drawn, and are not counted in the progress
+    const templateArray = this.getSortedTemplates().filter(template => template.enabled);
 
     console.log(templateArray);
 
@@ -249,28 +933,25 @@ export default class TemplateManager {
 
     // Retrieves the relavent template tile blobs
     const templatesToDraw = templateArray
-      .map(template => {
-        const matchingTiles = Object.keys(template.chunked).filter(tile =>
+      .flatMap(template => {
+        const matchingTiles = Object.keys(template.chunked || {}).filter(tile =>
           tile.startsWith(tileCoords)
         );
 
-        if (matchingTiles.length === 0) {return null;} // Return null when nothing is found
-
         // Retrieves the blobs of the templates for this tile
-        const matchingTileBlobs = matchingTiles.map(tile => {
+        return matchingTiles.map(tile => {
 
           const coords = tile.split(','); // [x, y, x, y] Tile/pixel coordinates
           
           return {
+            template: template, // The Template instance the bitmap belongs to
+            tileName: tile, // The name of the template tile
             bitmap: template.chunked[tile],
             tileCoords: [coords[0], coords[1]],
             pixelCoords: [coords[2], coords[3]]
           }
         });
-
-        return matchingTileBlobs?.[0];
-      })
-    .filter(Boolean);
+      });
 
     console.log(templatesToDraw);
 
@@ -281,268 +962,444 @@ export default class TemplateManager {
     let paintedCount = 0;
     let wrongCount = 0;
     let requiredCount = 0;
-    
-    const tileBitmap = await createImageBitmap(tileBlob);
-
-    const canvas = new OffscreenCanvas(drawSize, drawSize);
-    const context = canvas.getContext('2d');
-
-    context.imageSmoothingEnabled = false; // Nearest neighbor
+    let missingCount = 0;
+
+    // Groups the template tiles by template, keeping the draw order
+    const templatesOnTile = [...new Set(templatesToDraw.map(templateTile => templateTile.template))];
+
+    // Makes sure the pixels of every template are cached (e.g. after the template worker stopped)
+    await Promise.all(templatesOnTile.map(activeTemplate => this.worker.whenTemplateIndexed(activeTemplate, this.shreadSize)));
+
+    // Draws the templates, and counts their pixels, in the template worker
+    const { blob, stats } = await this.worker.run('draw', {
+      tileBlob,
+      tileSize: this.tileSize,
+      drawMult: this.renderStyle == 'symbol' ? Math.max(this.drawMult, 5) : this.drawMult, // Symbols need room around them for the color
+      renderMode: this.renderMode,
+      renderStyle: this.renderStyle,
+      opacity: this.fillOpacity,
+      templates: templatesOnTile.map(activeTemplate => ({
+        id: activeTemplate.id,
+        tileNames: templatesToDraw
+          .filter(templateTile => templateTile.template === activeTemplate)
+          .map(templateTile => templateTile.tileName),
+        disabledColors: Object.entries(activeTemplate.colorPalette || {})
+          .filter(([, color]) => color?.enabled === false)
+          .map(([key]) => key),
+        opacity: activeTemplate.opacity,
+        blend: this.#getActiveBlend(activeTemplate)
+      }))
+    });
 
-    // Tells the canvas to ignore anything outside of this area
-    context.beginPath();
-    context.rect(0, 0, drawSize, drawSize);
-    context.clip();
+    // Save the per-template stats of this tile, and add them to the stats of the tile
+    const checkedAt = Date.now();
+    await this.#recordDamage(templatesOnTile, tileCoords, stats, checkedAt);
+    templatesOnTile.forEach((activeTemplate, index) => {
+      const { damage, damaged, ...tileStats } = stats[index]; // The damage is only kept in the damage log
+      activeTemplate.tileProgress.set(tileCoords, { ...tileStats, checkedAt });
+      paintedCount += stats[index].painted;
+      requiredCount += stats[index].required;
+      missingCount += stats[index].missing;
+      wrongCount += stats[index].wrong;
+    });
+    await this.#recordProgressHistory(templatesOnTile);
 
-    context.clearRect(0, 0, drawSize, drawSize); // Draws transparent background
-    context.drawImage(tileBitmap, 0, 0, drawSize, drawSize);
+    // Save per-tile stats and display the progress of every template being drawn
+    if (templateCount > 0) {
+      const tileKey = tileCoords; // already padded string "xxxx,yyyy"
+      this.tileProgress.set(tileKey, {
+        painted: paintedCount,
+        required: requiredCount,
+        missing: missingCount,
+        wrong: wrongCount,
+        checkedAt
+      });
 
-    // Grab a snapshot of the tile pixels BEFORE we draw any template overlays
-    let tilePixels = null;
-    try {
-      tilePixels = context.getImageData(0, 0, drawSize, drawSize).data;
-    } catch (_) {
-      // If reading fails for any reason, we will skip stats
+      this.#displayProgress(`Displaying ${templateCount} template${templateCount == 1 ? '' : 's'}.`);
+    } else {
+      this.overlay.handleDisplayStatus(`Displaying ${templateCount} templates.`);
     }
 
-    // For each template in this tile, draw them.
-    for (const template of templatesToDraw) {
-      console.log(`Template:`);
-      console.log(template);
+    return blob;
+  }
 
-      // Compute stats by sampling template center pixels against tile pixels,
-      // honoring color enable/disable from the active template's palette
-      if (tilePixels) {
-        try {
-          
-          const tempWidth = template.bitmap.width;
-          const tempHeight = template.bitmap.height;
-          const tempCanvas = new OffscreenCanvas(tempWidth, tempHeight);
-          const tempContext = tempCanvas.getContext('2d', { willReadFrequently: true });
-          tempContext.imageSmoothingEnabled = false;
-          tempContext.clearRect(0, 0, tempWidth, tempHeight);
-          tempContext.drawImage(template.bitmap, 0, 0);
-          const tImg = tempContext.getImageData(0, 0, tempWidth, tempHeight);
-          const tData = tImg.data; // Tile Data, Template Data, or Temp Data????
-
-          const offsetX = Number(template.pixelCoords[0]) * this.drawMult;
-          const offsetY = Number(template.pixelCoords[1]) * this.drawMult;
-
-          // Loops over all pixels in the template
-          // Assigns each pixel a color (if center pixel)
-          for (let y = 0; y < tempHeight; y++) {
-            for (let x = 0; x < tempWidth; x++) {
-              // Purpose: Count which pixels are painted correctly???
-
-              // Only evaluate the center pixel of each shread block
-              // Skip if not the center pixel of the shread block
-              if ((x % this.drawMult) !== 1 || (y % this.drawMult) !== 1) { continue; }
-
-              const gx = x + offsetX;
-              const gy = y + offsetY;
-
-              // IF the pixel is out of bounds of the template, OR if the pixel is outside of the tile, then skip the pixel
-              if (gx < 0 || gy < 0 || gx >= drawSize || gy >= drawSize) { continue; }
-
-              const templatePixelCenter = (y * tempWidth + x) * 4; // Shread block center pixel
-              const templatePixelCenterRed = tData[templatePixelCenter]; // Shread block's center pixel's RED value
-              const templatePixelCenterGreen = tData[templatePixelCenter + 1]; // Shread block's center pixel's GREEN value
-              const templatePixelCenterBlue = tData[templatePixelCenter + 2]; // Shread block's center pixel's BLUE value
-              const templatePixelCenterAlpha = tData[templatePixelCenter + 3]; // Shread block's center pixel's ALPHA value
-
-              // Possibly needs to be removed 
-              // Handle template transparent pixel (alpha < 64): wrong if board has any site palette color here
-              // If the alpha of the center pixel is less than 64...
-              if (templatePixelCenterAlpha < 64) {
-                try {
-                  const activeTemplate = this.templatesArray?.[0];
-                  const tileIdx = (gy * drawSize + gx) * 4;
-                  const pr = tilePixels[tileIdx];
-                  const pg = tilePixels[tileIdx + 1];
-                  const pb = tilePixels[tileIdx + 2];
-                  const pa = tilePixels[tileIdx + 3];
-
-                  const key = activeTemplate.allowedColorsSet.has(`${pr},${pg},${pb}`) ? `${pr},${pg},${pb}` : 'other';
-
-                  const isSiteColor = activeTemplate?.allowedColorsSet ? activeTemplate.allowedColorsSet.has(key) : false;
-                  
-                  // IF the alpha of the center pixel that is placed on the canvas is greater than or equal to 64, AND the pixel is a Wplace palette color, then it is incorrect.
-                  if (pa >= 64 && isSiteColor) {
-                    wrongCount++;
-                  }
-                } catch (ignored) {}
-
-                continue; // Continue to the next pixel
-              }
+  /** Checks the progress of templates on every tile they touch, not just the tiles the map has shown.
+   * Each tile is downloaded once, even if many templates touch it.
+   * @param {Array<Template>} [templates=this.templatesArray] - The templates to check
+   * @since 0.85.12
+   */
+  async checkTemplateProgress(templates = this.templatesArray) {
 
-              // Treat #deface as Transparent palette color (required and paintable)
-              // Ignore non-palette colors (match against allowed set when available) for counting required template pixels
-              // try {
+    if (this.isCheckingProgress) {this.overlay.handleDisplayError(`The progress is already being checked!`); return;}
 
-              //   const activeTemplate = this.templatesArray?.[0]; // Get the first template
+    this.isCheckingProgress = true;
+
+    try {
 
-              //   // IF the stored palette data exists, AND the pixel is not in the allowed palette
-              //   if (activeTemplate?.allowedColorsSet && !activeTemplate.allowedColorsSet.has(`${templatePixelCenterRed},${templatePixelCenterGreen},${templatePixelCenterBlue}`)) {
+      // Finds which templates touch each tile
+      const tiles = new Map(); // Tile ("xxxx,yyyy") -> Templates
+      for (const template of templates) {
+        for (const tilePrefix of template.tilePrefixes) {
+          tiles.set(tilePrefix, [...(tiles.get(tilePrefix) || []), template]);
+        }
+      }
 
-              //     continue; // Skip this pixel if it is not in the allowed palette
-              //   }
-              // } catch (ignored) {}
+      let tileNumber = 0;
+      let failedTiles = 0;
 
-              requiredCount++;
+      for (const [tilePrefix, tileTemplates] of tiles) {
 
-              // Strict center-pixel matching. Treat transparent tile pixels as unpainted (not wrong)
-              const realPixelCenter = (gy * drawSize + gx) * 4;
-              const realPixelRed = tilePixels[realPixelCenter];
-              const realPixelCenterGreen = tilePixels[realPixelCenter + 1];
-              const realPixelCenterBlue = tilePixels[realPixelCenter + 2];
-              const realPixelCenterAlpha = tilePixels[realPixelCenter + 3];
+        tileNumber++;
+        this.overlay.handleDisplayStatus(`Checking progress of tile ${tileNumber} / ${tiles.size}...`);
 
-              // IF the alpha of the pixel is less than 64...
-              if (realPixelCenterAlpha < 64) {
-                // Unpainted -> neither painted nor wrong
+        const [tileX, tileY] = tilePrefix.split(',').map(Number);
 
-                // ELSE IF the pixel matches the template center pixel color
-              } else if (realPixelRed === templatePixelCenterRed && realPixelCenterGreen === templatePixelCenterGreen && realPixelCenterBlue === templatePixelCenterBlue) {
-                paintedCount++; // ...the pixel is painted correctly
-              } else {
-                wrongCount++; // ...the pixel is NOT painted correctly
-              }
-            }
+        let tileBlob = null; // Stays null if nothing was ever painted on the tile
+        try {
+          tileBlob = await requestBlob(this.tileURL.replace('{x}', tileX).replace('{y}', tileY));
+        } catch (error) {
+          if (error?.status != 404) {
+            console.warn(`Failed to download tile ${tilePrefix}:`, error);
+            failedTiles++;
+            continue;
           }
-        } catch (exception) {
-          console.warn('Failed to compute per-tile painted/wrong stats:', exception);
         }
+
+        try {
+          await Promise.all(tileTemplates.map(template => this.worker.whenTemplateIndexed(template, this.shreadSize)));
+
+          const { stats } = await this.worker.run('measure', {
+            tileBlob,
+            tileSize: this.tileSize,
+            templates: tileTemplates.map(template => ({
+              id: template.id,
+              tileNames: Object.keys(template.chunked || {}).filter(tileName => tileName.startsWith(tilePrefix))
+            }))
+          });
+
+          const checkedAt = Date.now();
+          await this.#recordDamage(tileTemplates, tilePrefix, stats, checkedAt);
+          tileTemplates.forEach((template, index) => {
+            const { damage, damaged, ...tileStats } = stats[index]; // The damage is only kept in the damage log
+            template.tileProgress.set(tilePrefix, { ...tileStats, checkedAt });
+          });
+        } catch (error) {
+          console.warn(`Failed to check tile ${tilePrefix}:`, error);
+          failedTiles++;
+        }
+
+        window.postMessage({ source: 'blue-marble', bmEvent: 'bm-update-template-progress' }, '*');
+
+        await new Promise(resolve => setTimeout(resolve, 250)); // Waits between tiles, so the server is not flooded
       }
 
-      // Draw the template overlay for visual guidance, honoring color filter
-      try {
+      await this.#recordProgressHistory(templates);
+      this.#displayProgress(`Checked ${tiles.size - failedTiles} / ${tiles.size} tiles${failedTiles ? ` (${failedTiles} failed)` : ''}.`);
+    } finally {
+      this.isCheckingProgress = false;
+    }
+  }
 
-        const activeTemplate = this.templatesArray?.[0]; // Get the first template
-        const palette = activeTemplate?.colorPalette || {}; // Obtain the color palette of the template
-        const hasDisabled = Object.values(palette).some(v => v?.enabled === false); // Check if any color is disabled
+  /** Adds a snapshot of the progress to the history of each template, then stores the history.
+   * @param {Array<Template>} templates - The templates that were just checked
+   * @since 0.85.15
+   */
+  async #recordProgressHistory(templates) {
 
-        // If none of the template colors are disabled, then draw the image normally
-        if (!hasDisabled) {
-          context.drawImage(template.bitmap, Number(template.pixelCoords[0]) * this.drawMult, Number(template.pixelCoords[1]) * this.drawMult);
-        } else {
-          // ELSE we need to apply the color filter
+    let isRecorded = false;
 
-          console.log('Applying color filter...');
+    for (const template of templates) {
+      if (!template.recordProgressSnapshot()) {continue;} // Skips templates that did not get a snapshot
 
-          const tempW = template.bitmap.width;
-          const tempH = template.bitmap.height;
+      const templateJSON = this.templatesJSON?.templates?.[template.storageKey];
+      if (templateJSON) {templateJSON.history = template.history;}
+      isRecorded = true;
+    }
 
-          const filterCanvas = new OffscreenCanvas(tempW, tempH);
-          const filterCtx = filterCanvas.getContext('2d', { willReadFrequently: true });
-          filterCtx.imageSmoothingEnabled = false; // Nearest neighbor
-          filterCtx.clearRect(0, 0, tempW, tempH);
-          filterCtx.drawImage(template.bitmap, 0, 0);
+    if (isRecorded) {await this.#storeTemplates();}
+  }
 
-          const img = filterCtx.getImageData(0, 0, tempW, tempH);
-          const data = img.data;
+  /** Adds the damaged pixels of a tile to the damage log, and alerts the user if enough pixels were damaged.
+   * @param {Array<Template>} templates - The templates on the tile
+   * @param {string} tilePrefix - The tile, as "xxxx,yyyy"
+   * @param {Array<{damaged: number, damage: Array<{x: number, y: number, oldColor: string|null, newColor: string|null}>}>} stats - The stats of each template on the tile, from the template worker
+   * @param {number} time - When the tile was checked
+   * @since 0.85.16
+   */
+  async #recordDamage(templates, tilePrefix, stats, time) {
 
-          // For every pixel...
-          for (let y = 0; y < tempH; y++) {
-            for (let x = 0; x < tempW; x++) {
+    const [tileX, tileY] = tilePrefix.split(',').map(Number);
+    let damaged = 0;
 
-              // If this pixel is NOT the center pixel, then skip the pixel
-              if ((x % this.drawMult) !== 1 || (y % this.drawMult) !== 1) { continue; }
+    templates.forEach((template, index) => {
+      if (!stats[index]?.damaged) {return;} // Skips templates that were not damaged
 
-              const idx = (y * tempW + x) * 4;
-              const r = data[idx];
-              const g = data[idx + 1];
-              const b = data[idx + 2];
-              const a = data[idx + 3];
+      damaged += stats[index].damaged;
+      for (const { x, y, oldColor, newColor } of stats[index].damage) {
+        this.damageLog.push({ 'name': template.displayName, 'coords': [tileX, tileY, x, y], 'oldColor': oldColor, 'newColor': newColor, 'time': time });
+      }
+    });
+
+    if (damaged == 0) {return;} // Kills itself if nothing was damaged
 
-              if (a < 1) { continue; }
+    this.damageLog = this.damageLog.slice(-500); // Only the newest damage is kept
+    await GM.setValue('bmDamageLog', JSON.stringify(this.damageLog));
+    window.postMessage({ source: 'blue-marble', bmEvent: 'bm-update-damage-log' }, '*');
 
-              let key = activeTemplate.allowedColorsSet.has(`${r},${g},${b}`) ? `${r},${g},${b}` : 'other';
+    this.unalertedDamage += damaged;
+    if (this.damageAlert.threshold > 0 && this.unalertedDamage >= this.damageAlert.threshold) {
+      this.#raiseDamageAlert(this.unalertedDamage);
+      this.unalertedDamage = 0;
+    }
+  }
 
-              // Hide if color is not in allowed palette or explicitly disabled
-              const inWplacePalette = activeTemplate?.allowedColorsSet ? activeTemplate.allowedColorsSet.has(key) : true;
+  /** Alerts the user that template pixels were damaged, in every way the user chose.
+   * @param {number} damaged - The number of pixels damaged since the last alert
+   * @since 0.85.16
+   */
+  #raiseDamageAlert(damaged) {
 
-              // if (inWplacePalette) {
-              //   key = 'other'; // Map all non-palette colors to "other"
-              //   console.log('Added color to other');
-              // }
+    const message = `${new Intl.NumberFormat().format(damaged)} template pixel${damaged == 1 ? ' was' : 's were'} damaged!`;
 
-              const isPaletteColorEnabled = palette?.[key]?.enabled !== false;
-              if (!inWplacePalette || !isPaletteColorEnabled) {
-                data[idx + 3] = 0; // hide disabled color center pixel
-              }
-            }
-          }
+    if (this.damageAlert.status) {
+      this.overlay.handleDisplayError(`${message}\nOpen the template manager to jump to the damage.`);
+    }
 
-          // Draws the template with somes colors disabled
-          filterCtx.putImageData(img, 0, 0);
-          context.drawImage(filterCanvas, Number(template.pixelCoords[0]) * this.drawMult, Number(template.pixelCoords[1]) * this.drawMult);
-        }
-      } catch (exception) {
+    if (this.damageAlert.notification && window.Notification?.permission == 'granted') {
+      new Notification(this.name, { body: message, tag: 'bm-damage' }); // The tag replaces the previous alert instead of stacking them
+    }
 
-        // If filtering fails, we can log the error or handle it accordingly
-        console.warn('Failed to apply color filter:', exception);
+    if (this.damageAlert.sound) {this.#beep(880);}
+  }
 
-        // Fallback to drawing raw bitmap if filtering fails
-        context.drawImage(template.bitmap, Number(template.pixelCoords[0]) * this.drawMult, Number(template.pixelCoords[1]) * this.drawMult);
+  /** Beeps twice, for alerts.
+   * @param {number} frequency - The pitch of the beeps, in hertz
+   * @since 0.85.24
+   */
+  #beep(frequency) {
+    try {
+      const audio = new AudioContext();
+      for (const start of [0, 0.25]) {
+        const oscillator = audio.createOscillator();
+        const gain = audio.createGain();
+        oscillator.frequency.value = frequency;
+        gain.gain.value = 0.1;
+        oscillator.connect(gain).connect(audio.destination);
+        oscillator.start(audio.currentTime + start);
+        oscillator.stop(audio.currentTime + start + 0.15);
       }
+      setTimeout(() => audio.close(), 1000);
+    } catch (error) {
+      console.warn('Failed to play the alert sound:', error);
     }
+  }
 
-    // Save per-tile stats and compute global aggregates across all processed tiles
-    if (templateCount > 0) {
-      const tileKey = tileCoords; // already padded string "xxxx,yyyy"
-      this.tileProgress.set(tileKey, {
-        painted: paintedCount,
-        required: requiredCount,
-        wrong: wrongCount,
-      });
+  /** Clears the damage log.
+   * @since 0.85.16
+   */
+  async clearDamageLog() {
+    this.damageLog = [];
+    this.unalertedDamage = 0;
+    await GM.setValue('bmDamageLog', '[]');
+    window.postMessage({ source: 'blue-marble', bmEvent: 'bm-update-damage-log' }, '*');
+  }
 
-      // Aggregate painted/wrong across tiles we've processed
-      let aggPainted = 0;
-      let aggRequiredTiles = 0;
-      let aggWrong = 0;
-      for (const stats of this.tileProgress.values()) {
-        aggPainted += stats.painted || 0;
-        aggRequiredTiles += stats.required || 0;
-        aggWrong += stats.wrong || 0;
-      }
+  /** Sums the progress of every enabled template.
+   * @returns {{painted: number, required: number, missing: number, wrong: number, erase: number, erased: number, checkedTiles: number, totalTiles: number, checkedAt: number|null}} The total progress. See {@link Template#getProgress}
+   * @since 0.85.12
+   */
+  getTotalProgress() {
+
+    const total = { painted: 0, required: 0, missing: 0, wrong: 0, erase: 0, erased: 0, checkedTiles: 0, totalTiles: 0, checkedAt: null };
+
+    for (const template of this.templatesArray) {
+      if (!template.enabled) {continue;} // Disabled templates are not counted in the progress
+
+      const progress = template.getProgress();
+      total.painted += progress.painted;
+      total.required += progress.required;
+      total.missing += progress.missing;
+      total.wrong += progress.wrong;
+      total.erase += progress.erase;
+      total.erased += progress.erased;
+      total.checkedTiles += progress.checkedTiles;
+      total.totalTiles += progress.totalTiles;
+      if (progress.checkedAt != null) {total.checkedAt = Math.min(total.checkedAt ?? Infinity, progress.checkedAt);}
+    }
 
-      // Determine total required across all templates
-      // Prefer precomputed per-template required counts; fall back to sum of processed tiles
-      const totalRequiredTemplates = this.templatesArray.reduce((sum, t) =>
-        sum + (t.requiredPixelCount || t.pixelCount || 0), 0);
-      const totalRequired = totalRequiredTemplates > 0 ? totalRequiredTemplates : aggRequiredTiles;
+    return total;
+  }
 
-      // Turns numbers into formatted number strings. E.g., 1234 -> 1,234 OR 1.234 based on location of user
-      const paintedStr = new Intl.NumberFormat().format(aggPainted);
-      const requiredStr = new Intl.NumberFormat().format(totalRequired);
-      const wrongStr = new Intl.NumberFormat().format(totalRequired - aggPainted); // Used to be aggWrong, but that is bugged
+  /** Displays the total progress of the enabled templates in the status box.
+   * @param {string} message - The message to display above the progress
+   * @since 0.85.12
+   */
+  #displayProgress(message) {
 
-      this.overlay.handleDisplayStatus(
-        `Displaying ${templateCount} template${templateCount == 1 ? '' : 's'}.\nPainted ${paintedStr} / ${requiredStr} • Wrong ${wrongStr}`
-      );
-    } else {
-      this.overlay.handleDisplayStatus(`Displaying ${templateCount} templates.`);
-    }
+    const { painted, required, missing, wrong, erase, erased, checkedTiles, totalTiles } = this.getTotalProgress();
 
-    return await canvas.convertToBlob({ type: 'image/png' });
+    // Turns numbers into formatted number strings. E.g., 1234 -> 1,234 OR 1.234 based on location of user
+    const format = new Intl.NumberFormat().format;
+
+    this.overlay.handleDisplayStatus(
+      `${message}\nPainted ${format(painted)} / ${format(required)} • Missing ${format(missing)} • Wrong ${format(wrong)}` +
+      (erase > 0 ? ` • Erased ${format(erased)} / ${format(erase)}` : '') +
+      (checkedTiles < totalTiles ? `\n${format(totalTiles - checkedTiles)} tile${totalTiles - checkedTiles == 1 ? ' was' : 's were'} not checked yet` : '')
+    );
+
+    window.postMessage({ source: 'blue-marble', bmEvent: 'bm-update-template-progress' }, '*');
   }
 
   /** Imports the JSON object, and appends it to any JSON object already loaded
-   * @param {string} json - The JSON string to parse
+   * Blue Marble, OSU! Place, and Overlay Pro template objects are supported.
+   * @param {Object} json - The parsed JSON object
+   * @returns {Promise<Map<string, Template>>} The imported templates, by the key they had in the JSON object
+   * @since 0.72.13
    */
-  importJSON(json) {
+  async importJSON(json) {
 
     console.log(`Importing JSON...`);
     console.log(json);
 
     // If the passed in JSON is a Blue Marble template object...
     if (json?.whoami == 'BlueMarble') {
-      this.#parseBlueMarble(json); // ...parse the template object as Blue Marble
+      json = await this.#migrateJSON(json); // Upgrades the template object to the current schema
+      if (!json) {return new Map();} // Kills itself if the template object is too new to read
+      return await this.#parseBlueMarble(json); // ...parse the template object as Blue Marble
+    }
+
+    // If the passed in JSON is an OSU! Place template object...
+    if (Array.isArray(json?.templates)) {
+      return await this.#parseOSU(json); // ...parse the template object as OSU! Place
+    }
+
+    // If the passed in JSON is one (or many) Overlay Pro overlays...
+    // The keys of other scripts are quoted, so they are not renamed when Blue Marble is minified
+    const overlays = Array.isArray(json) ? json : (Array.isArray(json?.['overlays']) ? json['overlays'] : [json]);
+    if (overlays.length > 0 && overlays.every(overlay => overlay?.['pixelUrl'] && (overlay?.['imageBase64'] || overlay?.['imageUrl']))) {
+      return await this.#parseOverlayPro(overlays); // ...parse the template object as Overlay Pro
+    }
+
+    return new Map();
+  }
+
+  /** Imports templates that the user provided (e.g. a file a teammate exported).
+   * Unlike {@link importJSON}, the merged templates are stored, and the user is told what happened.
+   * @param {string} text - The JSON string to parse
+   * @since 0.85.3
+   */
+  async importTemplatesFromText(text) {
+
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (exception) {
+      this.overlay.handleDisplayError(`Could not import templates!\nThe file is not valid JSON.`);
+      return;
+    }
+
+    const importedTemplates = await this.importJSON(json);
+
+    if (importedTemplates.size == 0) {
+      this.overlay.handleDisplayError(`Could not import templates!\nThe file is not a supported template file.`);
+      return;
+    }
+
+    await this.#storeTemplates();
+
+    this.overlay.handleDisplayStatus(`Imported ${importedTemplates.size} template${importedTemplates.size == 1 ? '' : 's'}!`);
+  }
+
+  /** Imports template files the user selected.
+   * Template files (JSON) are imported with {@link importTemplatesFromText}.
+   * Images are placed at the coordinates found in a coordinate file with the same name (e.g. "art.png" + "art.txt"),
+   * or else at the coordinates in the image's file name (e.g. "art_1231_47_183_593.png").
+   * @param {FileList|Array<File>} files - The selected files
+   * @since 0.85.5
+   */
+  async importTemplateFiles(files) {
+
+    files = Array.from(files || []);
+
+    const baseName = (file) => file.name.replace(/\.[^/.]+$/, ''); // "art.png" -> "art"
+    const images = files.filter(file => file.type.startsWith('image/'));
+    const others = files.filter(file => !file.type.startsWith('image/'));
+
+    // Any non-image with the same name as an image is that image's coordinate file
+    const coordFiles = new Map();
+    for (const file of others) {
+      if (images.some(image => baseName(image) == baseName(file))) {coordFiles.set(baseName(file), file);}
+    }
+
+    // Everything else is a template file
+    for (const file of others) {
+      if (coordFiles.get(baseName(file)) === file) {continue;}
+      await this.importTemplatesFromText(await file.text());
+    }
+
+    for (const image of images) {
+
+      const coordFile = coordFiles.get(baseName(image));
+      const coords = coordFile ? this.#parseCoordFile(await coordFile.text()) : parseCoordsFromText(baseName(image), this.tileSize);
+
+      if (!coords) {
+        this.overlay.handleDisplayError(`Could not import "${image.name}"!\nAdd the coordinates to the file name, or select a coordinate file with the same name.`);
+        continue;
+      }
+
+      // Removes the coordinates from the name, if they came from the name
+      const name = coordFile ? baseName(image) : (baseName(image).replace(/[\s_\-(\[]*\d+\D+\d+\D+\d+\D+\d+\D*$/, '') || baseName(image));
+
+      await this.createTemplate(image, name, coords);
+    }
+  }
+
+  /** Reads the coordinates out of a coordinate file.
+   * The file can be JSON (e.g. `{"tx": 1231, "ty": 47, "px": 183, "py": 593}`, `{"coords": [1231, 47, 183, 593]}`, or `{"x": 1231183, "y": 47593}`),
+   * or plain text containing the numbers.
+   * @param {string} text - The contents of the coordinate file
+   * @returns {number[]|null} [tileX, tileY, pixelX, pixelY], or null if no coordinates were found
+   * @since 0.85.5
+   */
+  #parseCoordFile(text) {
+
+    let json = null;
+    try {json = JSON.parse(text);} catch (_) {}
+
+    // The keys are quoted, since they are read from a file, not from Blue Marble.
+    // The numbers are checked by the text parser, so coordinates off the canvas are refused the same way
+    const isNumber = (number) => Number.isInteger(Number(number)) && number !== '' && number != null && number >= 0;
+    const tilePixel = [json?.['tx'], json?.['ty'], json?.['px'], json?.['py']];
+    if (Array.isArray(json?.['coords']) && json['coords'].length == 4 && json['coords'].every(isNumber)) {return parseCoordsFromText(json['coords'].join(' '), this.tileSize);}
+    if (tilePixel.every(isNumber)) {return parseCoordsFromText(tilePixel.join(' '), this.tileSize);}
+    if (isNumber(json?.['x']) && isNumber(json?.['y'])) {return parseCoordsFromText(`${json['x']} ${json['y']}`, this.tileSize);}
+
+    return parseCoordsFromText(text, this.tileSize);
+  }
+
+  /** Creates a JSON object containing some (or all) of the loaded templates.
+   * The JSON object uses the same schema as the stored templates, so it can be imported by anyone.
+   * @param {Array<string>} [storageKeys] - The keys of the templates to export. Exports every template when omitted
+   * @returns {Promise<{ whoami: string, scriptVersion: string, schemaVersion: string, templates: Object }>} The JSON object
+   * @since 0.85.3
+   */
+  async exportJSON(storageKeys) {
+
+    const json = await this.createJSON();
+    const templates = this.templatesJSON?.templates || {};
+
+    for (const storageKey of (storageKeys ?? Object.keys(templates))) {
+      if (!templates[storageKey]) {continue;} // Skips templates that were never stored
+      json.templates[storageKey] = JSON.parse(JSON.stringify(templates[storageKey])); // Deep copy
+      delete json.templates[storageKey].history; // The progress history only applies to whoever painted it
     }
+
+    return json;
   }
 
   /** Parses the Blue Marble JSON object
-   * @param {string} json - The JSON string to parse
+   * @param {Object} json - The parsed JSON object
+   * @returns {Promise<Map<string, Template>>} The imported templates, by the key they had in the JSON object
    * @since 0.72.13
    */
   async #parseBlueMarble(json) {
@@ -550,86 +1407,67 @@ export default class TemplateManager {
     console.log(`Parsing BlueMarble...`);
 
     const templates = json.templates;
+    const importedTemplates = new Map(); // Key in the JSON object -> Template
 
     console.log(`BlueMarble length: ${Object.keys(templates).length}`);
 
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON(); console.log(`Creating JSON...`);}
+
     if (Object.keys(templates).length > 0) {
 
-      for (const template in templates) {
+      for (const templateKey in templates) {
 
-        const templateKey = template;
-        const templateValue = templates[template];
+        const templateValue = templates[templateKey];
         console.log(templateKey);
 
-        if (templates.hasOwnProperty(template)) {
+        if (templates.hasOwnProperty(templateKey)) {
 
           const templateKeyArray = templateKey.split(' '); // E.g., "0 $Z" -> ["0", "$Z"]
-          const sortID = Number(templateKeyArray?.[0]); // Sort ID of the template
+          let sortID = Number(templateKeyArray?.[0]); // Sort ID of the template
           const authorID = templateKeyArray?.[1] || '0'; // User ID of the person who exported the template
+
+          // If the sort ID is invalid, or another loaded template already uses it, the imported template is drawn on top instead
+          if (Number.isNaN(sortID) || this.templatesArray.some(loaded => loaded.sortID == sortID)) {
+            sortID = this.#getNextSortID();
+          }
+          const storageKey = `${sortID} ${authorID}`; // The key might have changed to avoid a collision
           const displayName = templateValue.name || `Template ${sortID || ''}`; // Display name of the template
-          //const coords = templateValue?.coords?.split(',').map(Number); // "1,2,3,4" -> [1, 2, 3, 4]
-          const tilesbase64 = templateValue.tiles;
-          const templateTiles = {}; // Stores the template bitmap tiles for each tile.
-          let requiredPixelCount = 0; // Global required pixel count for this imported template
-          const paletteMap = new Map(); // Accumulates color counts across tiles (center pixels only)
-
-          for (const tile in tilesbase64) {
-            console.log(tile);
-            if (tilesbase64.hasOwnProperty(tile)) {
-              const encodedTemplateBase64 = tilesbase64[tile];
-              const templateUint8Array = base64ToUint8(encodedTemplateBase64); // Base 64 -> Uint8Array
-
-              const templateBlob = new Blob([templateUint8Array], { type: "image/png" }); // Uint8Array -> Blob
-              const templateBitmap = await createImageBitmap(templateBlob) // Blob -> Bitmap
-              templateTiles[tile] = templateBitmap;
-
-              // Count required pixels in this bitmap (center pixels with alpha >= 64 and not #deface)
-              try {
-                const w = templateBitmap.width;
-                const h = templateBitmap.height;
-                const c = new OffscreenCanvas(w, h);
-                const cx = c.getContext('2d', { willReadFrequently: true });
-                cx.imageSmoothingEnabled = false;
-                cx.clearRect(0, 0, w, h);
-                cx.drawImage(templateBitmap, 0, 0);
-                const data = cx.getImageData(0, 0, w, h).data;
-                for (let y = 0; y < h; y++) {
-                  for (let x = 0; x < w; x++) {
-                    // Only count center pixels of 3x blocks
-                    if ((x % this.drawMult) !== 1 || (y % this.drawMult) !== 1) { continue; }
-                    const idx = (y * w + x) * 4;
-                    const r = data[idx];
-                    const g = data[idx + 1];
-                    const b = data[idx + 2];
-                    const a = data[idx + 3];
-                    if (a < 64) { continue; }
-                    if (r === 222 && g === 250 && b === 206) { continue; }
-                    requiredPixelCount++;
-                    const key = activeTemplate.allowedColorsSet.has(`${r},${g},${b}`) ? `${r},${g},${b}` : 'other';
-                    paletteMap.set(key, (paletteMap.get(key) || 0) + 1);
-                  }
-                }
-              } catch (e) {
-                console.warn('Failed to count required pixels for imported tile', e);
-              }
-            }
+          const storedCoords = Array.isArray(templateValue.coords) ? templateValue.coords.map(Number) : [];
+          const coords = (storedCoords.length == 4 && storedCoords.every(Number.isFinite)) ? storedCoords : null;
+
+          // Skips templates that can not be drawn
+          if (!templateValue.image || !coords) {
+            console.warn(`Skipped template "${displayName}", since it has no image or no coordinates`);
+            continue;
           }
 
           // Creates a new Template class instance
           const template = new Template({
             displayName: displayName,
-            sortID: sortID || this.templatesArray?.length || 0,
+            sortID: sortID,
+            enabled: templateValue.enabled !== false, // Templates without the flag are enabled
             authorID: authorID || '',
-            //coords: coords
+            url: templateValue.URL || '',
+            urlType: templateValue['URLType'] || '',
+            file: new Blob([base64ToUint8(templateValue.image)], { type: 'image/png' }), // Base 64 -> Uint8Array -> Blob
+            coords: coords
           });
+          template.urlKey = templateValue['URLKey'] ?? null;
+          template.urlHash = templateValue['URLHash'] ?? null;
+          template.urlRefreshMinutes = Number(templateValue['URLRefreshMinutes']) || 0;
+          template.urlRefreshedAt = Number(templateValue['URLRefreshedAt']) || 0;
+          const opacity = Number(templateValue.opacity ?? 1); // Templates without an opacity are opaque
+          template.opacity = Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : 1;
+          const blend = templateValue.blend == 'highlight' ? 'yellow-edge' : templateValue.blend; // "yellow-edge" used to be named "highlight"
+          template.blend = ['normal', 'grayscale', 'yellow-edge', 'highlight-on-hover'].includes(blend) ? blend : 'normal';
+          template.history = Array.isArray(templateValue.history) ? templateValue.history.filter(snapshot => Array.isArray(snapshot) && snapshot.length == 4) : [];
+
+          // Only the 1x image is stored, so the tiles are chunked again
+          const { templateTiles } = await template.createTemplateTiles(this.worker);
           template.chunked = templateTiles;
-          template.requiredPixelCount = requiredPixelCount;
-          // Construct colorPalette from paletteMap
-          const paletteObj = {};
-          for (const [key, count] of paletteMap.entries()) { paletteObj[key] = { count, enabled: true }; }
-          template.colorPalette = paletteObj;
-          // Populate tilePrefixes for fast-scoping
-          try { Object.keys(templateTiles).forEach(k => { template.tilePrefixes?.add(k.split(',').slice(0,2).join(',')); }); } catch (_) {}
+          await this.worker.indexTemplate(template, this.shreadSize); // Caches the template pixels for drawing
+
           // Merge persisted palette (enabled/disabled) if present
           try {
             const persisted = templates?.[templateKey]?.palette;
@@ -644,25 +1482,106 @@ export default class TemplateManager {
             }
           } catch (_) {}
           // Store storageKey for later writes
-          template.storageKey = templateKey;
+          template.storageKey = storageKey;
+          this.templatesJSON.templates[storageKey] = templateValue; // Keeps the template when the JSON object is stored again
           this.templatesArray.push(template);
+          importedTemplates.set(templateKey, template);
           console.log(this.templatesArray);
           console.log(`^^^ This ^^^`);
         }
       }
       // After importing templates from storage, reveal color UI and request palette list build
-      try {
-        const colorUI = document.querySelector('#bm-contain-colorfilter');
-        if (colorUI) { colorUI.style.display = ''; }
-        window.postMessage({ source: 'blue-marble', bmEvent: 'bm-rebuild-color-list' }, '*');
-      } catch (_) { /* no-op */ }
+      this.#announceTemplatesChanged();
     }
+
+    return importedTemplates;
   }
 
   /** Parses the OSU! Place JSON object
+   * Each template in the object has image URLs (`sources`) and global coordinates (`x`, `y`).
+   * Only the first frame of animated templates is used.
+   * @param {Object} json - The parsed JSON object
+   * @returns {Promise<Map<string, Template>>} The imported templates, by their index in the JSON object
+   * @since 0.85.5
+   */
+  async #parseOSU(json) {
+
+    console.log(`Parsing OSU! Place...`);
+
+    const importedTemplates = new Map(); // Index in the JSON object -> Template
+
+    for (const [index, templateOSU] of json.templates.entries()) {
+
+      const sources = Array.isArray(templateOSU?.sources) ? templateOSU.sources : [];
+      if (sources.length == 0 || !Number.isFinite(Number(templateOSU?.x)) || !Number.isFinite(Number(templateOSU?.y))) {continue;}
+
+      // Tries every mirror of the image until one works
+      let blob = null;
+      for (const source of sources) {
+        try {
+          blob = await requestBlob(source);
+          break;
+        } catch (exception) {
+          console.warn(`Failed to download OSU! Place template from ${source}:`, exception);
+        }
+      }
+
+      if (!blob) {
+        this.overlay.handleDisplayError(`Could not download the template "${templateOSU.name}"!`);
+        continue;
+      }
+
+      // Crops animated templates to the first frame
+      if (templateOSU['frameWidth'] || templateOSU['frameHeight']) {
+        const bitmap = await createImageBitmap(blob);
+        const frameWidth = Number(templateOSU['frameWidth']) || bitmap.width;
+        const frameHeight = Number(templateOSU['frameHeight']) || bitmap.height;
+        const canvas = new OffscreenCanvas(frameWidth, frameHeight);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        blob = await canvas.convertToBlob({ type: 'image/png' });
+      }
+
+      const coords = globalToTilePixel(Number(templateOSU.x), Number(templateOSU.y), this.tileSize);
+      const template = await this.createTemplate(blob, templateOSU.name || `OSU! Template ${index}`, coords);
+      importedTemplates.set(String(index), template);
+    }
+
+    return importedTemplates;
+  }
+
+  /** Parses Overlay Pro overlay objects
+   * Each overlay has an image (`imageBase64` or `imageUrl`), the URL of the pixel it is anchored to (`pixelUrl`), and an offset from that pixel.
+   * @param {Array<Object>} overlays - The parsed overlay objects
+   * @returns {Promise<Map<string, Template>>} The imported templates, by their index in the array
+   * @since 0.85.5
    */
-  #parseOSU() {
+  async #parseOverlayPro(overlays) {
+
+    console.log(`Parsing Overlay Pro...`);
 
+    const importedTemplates = new Map(); // Index in the array -> Template
+
+    for (const [index, overlay] of overlays.entries()) {
+      try {
+        // E.g. "https://backend.wplace.live/s0/pixel/1231/47?x=183&y=593" -> [1231, 47, 183, 593]
+        const pixelURL = new URL(overlay['pixelUrl']);
+        const [tileX, tileY] = pixelURL.pathname.split('/').filter(segment => segment && !isNaN(Number(segment))).map(Number);
+        const x = tileX * this.tileSize + Number(pixelURL.searchParams.get('x')) + (Number(overlay['offsetX']) || 0);
+        const y = tileY * this.tileSize + Number(pixelURL.searchParams.get('y')) + (Number(overlay['offsetY']) || 0);
+
+        const blob = overlay['imageBase64']
+          ? new Blob([base64ToUint8(overlay['imageBase64'].split(',').pop())], { type: 'image/png' }) // Removes the "data:image/png;base64," prefix
+          : await requestBlob(overlay['imageUrl']);
+
+        const template = await this.createTemplate(blob, overlay.name || `Overlay ${index}`, globalToTilePixel(x, y, this.tileSize));
+        importedTemplates.set(String(index), template);
+      } catch (exception) {
+        console.warn('Failed to import Overlay Pro overlay:', exception);
+        this.overlay.handleDisplayError(`Could not import the overlay "${overlay?.name}"!`);
+      }
+    }
+
+    return importedTemplates;
   }
 
   /** Sets the `templatesShouldBeDrawn` boolean to a value.
@@ -672,4 +1591,318 @@ export default class TemplateManager {
   setTemplatesShouldBeDrawn(value) {
     this.templatesShouldBeDrawn = value;
   }
+
+  /** Sets which template pixels are drawn.
+   * Tiles are drawn with the new mode the next time the website loads them.
+   * @param {string} mode - "full" (every pixel), "missing" (unpainted pixels), "wrong" (wrongly painted pixels, outlined in red), or "correct" (correctly painted pixels)
+   * @since 0.85.14
+   */
+  setRenderMode(mode) {
+    this.renderMode = ['full', 'missing', 'wrong', 'correct'].includes(mode) ? mode : 'full';
+  }
+
+  /** Sets how each template pixel is drawn. Only the drawing changes, so the progress is counted the same in every style.
+   * Tiles are drawn with the new style the next time the website loads them.
+   * @param {Object} [settings] - The render style settings. Missing settings are not changed
+   * @param {string} [settings.style] - "dot" (the middle of the pixel), "full" (the whole pixel, at an opacity), "outline" (the edge of the pixel), "crosshair" (the middle row and column of the pixel), or "symbol" (the whole pixel, with a symbol for each color)
+   * @param {number} [settings.multiplier] - How many times larger tiles are drawn. 3, 5, or 7. Symbols are always drawn at 5 or more
+   * @param {number} [settings.opacity] - The opacity of the "full" style, from 0 to 1
+   * @since 0.85.17
+   */
+  setRenderStyle(settings = {}) {
+    if (['dot', 'full', 'outline', 'crosshair', 'symbol'].includes(settings.style)) {this.renderStyle = settings.style;}
+    if ([3, 5, 7].includes(Number(settings.multiplier))) {this.drawMult = Number(settings.multiplier);}
+    const opacity = Number(settings.opacity);
+    if (settings.opacity != null && Number.isFinite(opacity)) {this.fillOpacity = Math.min(Math.max(opacity, 0), 1);}
+  }
+
+  /** Sets when, and how, the user is alerted about damaged template pixels.
+   * @param {Object} [settings] - The alert settings. Missing settings are not changed
+   * @param {number} [settings.threshold] - How many pixels must be damaged before alerting. 0 never alerts
+   * @param {boolean} [settings.status] - Should the alert be shown in the status box?
+   * @param {boolean} [settings.notification] - Should a desktop notification be shown? The permission must already be granted
+   * @param {boolean} [settings.sound] - Should a sound be played?
+   * @since 0.85.16
+   */
+  setDamageAlert(settings = {}) {
+    const threshold = Number(settings.threshold);
+    if (Number.isFinite(threshold) && threshold >= 0) {this.damageAlert.threshold = Math.floor(threshold);}
+    for (const key of ['status', 'notification', 'sound']) {
+      if (typeof settings[key] == 'boolean') {this.damageAlert[key] = settings[key];}
+    }
+  }
+
+  /** Sets the colors the current user can paint.
+   * Every free color can be painted. Premium colors can only be painted once they are bought.
+   * @param {number} extraColorsBitmap - The premium colors the user owns, from the user data. Bit 0 is color #32, bit 1 is color #33, and so on
+   * @since 0.85.22
+   */
+  setOwnedColors(extraColorsBitmap) {
+    const bitmap = Number(extraColorsBitmap) || 0;
+    this.ownedColorIDs = new Set(colorpalette
+      .filter(color => !color.premium || ((bitmap >>> (color.id - 32)) & 1))
+      .map(color => color.id)
+    );
+    window.postMessage({ source: 'blue-marble', bmEvent: 'bm-rebuild-color-list' }, '*');
+  }
+
+  /** Can the current user paint a color?
+   * Colors are assumed to be paintable until the user data is known.
+   * Colors that are not in the palette ("other", and #deface, which is erased) are not owned by anyone, so they are never blocked.
+   * @param {string} rgb - The color as "r,g,b"
+   * @returns {boolean} False if the color is a premium color the user does not own
+   * @since 0.85.22
+   */
+  isColorOwned(rgb) {
+    if (!this.ownedColorIDs) {return true;}
+    const color = colorpalette.find(color => color.id != 0 && color.rgb.join(',') == rgb);
+    return !color || this.ownedColorIDs.has(color.id);
+  }
+
+  /** Counts the pixels of a template that the current user can not paint, because they do not own the color.
+   * @param {Template} template - The template to count the pixels of
+   * @returns {{colors: Array<string>, pixels: number}} The "r,g,b" colors the user does not own, and how many pixels of them are left to paint
+   * @since 0.85.22
+   */
+  getBlockedPixels(template) {
+    const blocked = { colors: [], pixels: 0 };
+    for (const [rgb, progress] of Object.entries(template?.getColorProgress() || {})) {
+      if (this.isColorOwned(rgb)) {continue;}
+      blocked.colors.push(rgb);
+      blocked.pixels += Math.max(0, progress.required - progress.painted);
+    }
+    return blocked;
+  }
+
+  /** Sets the charges of the current user.
+   * @param {Object} charges - The charges from the user data
+   * @param {number} charges.count - The charges the user has now. Can be a fraction, since charges are given over time
+   * @param {number} charges.max - The most charges the user can have
+   * @param {number} charges.cooldownMs - The milliseconds it takes to get one charge
+   * @since 0.85.23
+   */
+  setCharges(charges) {
+    const count = Number(charges?.['count']); // The keys come from the website, so they are quoted to stop minifying from renaming them
+    const max = Number(charges?.['max']);
+    const cooldownMs = Number(charges?.['cooldownMs']);
+    if (!Number.isFinite(count) || !(max > 0) || !(cooldownMs > 0)) {return;} // The user data has no charges
+
+    this.charges = { count, max, cooldownMs, time: Date.now() };
+    this.#scheduleChargeAlert();
+    window.postMessage({ source: 'blue-marble', bmEvent: 'bm-update-charges' }, '*');
+  }
+
+  /** Sets when, and how, the user is alerted about their charges.
+   * @param {Object} [settings] - The alert settings. Missing settings are not changed
+   * @param {boolean} [settings.enabled] - Should the user be alerted?
+   * @param {number} [settings.threshold] - How many charges the user must have before alerting. 0 waits for full charges
+   * @param {boolean} [settings.notification] - Should a desktop notification be shown? The permission must already be granted
+   * @param {boolean} [settings.sound] - Should a sound be played?
+   * @param {boolean} [settings.title] - Should the title of the tab be marked until the tab is looked at?
+   * @since 0.85.24
+   */
+  setChargeAlert(settings = {}) {
+    const threshold = Number(settings['threshold']);
+    if (settings['threshold'] != null && Number.isFinite(threshold) && threshold >= 0) {this.chargeAlert.threshold = Math.floor(threshold);}
+    for (const key of ['enabled', 'notification', 'sound', 'title']) {
+      if (typeof settings[key] == 'boolean') {this.chargeAlert[key] = settings[key];}
+    }
+    this.#scheduleChargeAlert();
+  }
+
+  /** Waits until the charges reach the alert threshold, then alerts the user.
+   * Charges are only known when the website fetches the user data, which it does again after painting.
+   * So the alert is only scheduled while the charges are below the threshold, and fires once until they are spent again.
+   * @since 0.85.24
+   */
+  #scheduleChargeAlert() {
+
+    clearTimeout(this.chargeAlertTimer);
+    this.chargeAlertTimer = null;
+    if (!this.chargeAlert.enabled || !this.charges) {return;}
+
+    const { count, max, cooldownMs, time } = this.charges;
+    const target = Math.min(max, this.chargeAlert.threshold || max);
+    if (count >= target) {return;} // The user already has the charges
+
+    const delay = (target - count) * cooldownMs - (Date.now() - time);
+    this.chargeAlertTimer = setTimeout(() => {
+      this.chargeAlertTimer = null;
+      this.#raiseChargeAlert(target, max);
+    }, Math.max(0, delay));
+  }
+
+  /** Alerts the user that their charges reached the threshold, in every way the user chose.
+   * @param {number} charges - The charges the user has now
+   * @param {number} max - The most charges the user can have
+   * @since 0.85.24
+   */
+  #raiseChargeAlert(charges, max) {
+
+    const message = charges >= max ? `Your charges are full! (${charges})` : `You have ${charges} charges!`;
+
+    this.overlay.handleDisplayStatus(message);
+
+    if (this.chargeAlert.notification && window.Notification?.permission == 'granted') {
+      new Notification(this.name, { body: message, tag: 'bm-charges' }); // The tag replaces the previous alert instead of stacking them
+    }
+
+    if (this.chargeAlert.sound) {this.#beep(660);}
+
+    // Marks the tab until the user looks at it
+    if (this.chargeAlert.title && !document.hasFocus() && !document.title.startsWith('⚡ ')) {
+      document.title = `⚡ ${document.title}`;
+      window.addEventListener('focus', () => {
+        document.title = document.title.replace(/^⚡ /, '');
+      }, { once: true });
+    }
+  }
+
+  /** Plans how to paint the enabled templates with the charges of the current user.
+   * A session is painting until the charges run out. The first session uses the charges the user has now, and every later session waits for a full recharge.
+   * @param {number} [now=Date.now()] - The time to plan from, in milliseconds
+   * @returns {{charges: number, maxCharges: number, timeUntilFull: number, remaining: number, blocked: number, sessions: number, timeToFinish: number, chargeDroplets: number, premiumColors: Array<string>, colorDroplets: number} | null} The plan, or null if the charges are not known yet
+   * @since 0.85.23
+   */
+  getPaintPlan(now = Date.now()) {
+    if (!this.charges) {return null;}
+
+    const { count, max, cooldownMs, time } = this.charges;
+    const charges = Math.min(max, count + Math.max(0, now - time) / cooldownMs); // Charges are given while the user data is not fetched again
+
+    // Pixels left to paint or erase, and the colors that block them
+    let remaining = 0;
+    let blocked = 0;
+    const premiumColors = new Set();
+    for (const template of this.templatesArray) {
+      if (!template.enabled) {continue;} // Disabled templates are not planned
+
+      const { painted, required, erase, erased } = template.getProgress();
+      remaining += Math.max(0, required - painted) + Math.max(0, erase - erased);
+
+      const blockedPixels = this.getBlockedPixels(template);
+      blocked += blockedPixels.pixels;
+      if (blockedPixels.pixels > 0) {blockedPixels.colors.forEach(color => premiumColors.add(color));}
+    }
+
+    const paintable = remaining - blocked; // Pixels that need colors the user does not own can not be planned until they are bought
+    const missingCharges = Math.max(0, paintable - Math.floor(charges));
+    const sessions = paintable <= 0 ? 0 : (Math.floor(charges) > 0 ? 1 : 0) + Math.ceil(missingCharges / max);
+    const { time: timeToFinish, droplets: chargeDroplets } = estimatePaintCost(missingCharges, cooldownMs);
+
+    return {
+      charges,
+      maxCharges: max,
+      timeUntilFull: (max - charges) * cooldownMs,
+      remaining,
+      blocked,
+      sessions,
+      timeToFinish,
+      chargeDroplets: missingCharges > 0 ? chargeDroplets : 0,
+      premiumColors: [...premiumColors],
+      colorDroplets: premiumColors.size * this.premiumColorPrice
+    };
+  }
+
+  /** Compares one pixel of the board with the templates that cover it.
+   * @param {Array<number|string>} tileCoords - The tile of the pixel, as [x, y]
+   * @param {Array<number|string>} pixelCoords - The pixel in the tile, as [x, y]
+   * @returns {Promise<{board: Object|null, templates: Array<{storageKey: string, name: string, enabled: boolean, expected: Object, correct: boolean|null}>}>}
+   * The color on the board (null if the tile could not be downloaded), and the color each template expects, drawn on top first.
+   * Colors are {key, id, name, premium}. "correct" is null when it can not be known
+   * @since 0.85.25
+   */
+  async inspectPixel(tileCoords, pixelCoords) {
+
+    const [tileX, tileY] = tileCoords.map(Number);
+    const [x, y] = pixelCoords.map(Number);
+    const tilePrefix = `${tileX.toString().padStart(4, '0')},${tileY.toString().padStart(4, '0')}`;
+
+    // Describes a color by its "r,g,b" key
+    const describe = (key) => {
+      if (key == 'transparent' || key == '222,250,206') {return { key, id: 0, name: key == 'transparent' ? 'Transparent' : 'Transparent (erase)', premium: false };}
+      const color = colorpalette.find(color => color.id != 0 && color.rgb.join(',') == key);
+      return { key, id: color?.id ?? null, name: color?.name ?? (key == 'other' ? 'Not a Wplace color' : `rgb(${key})`), premium: !!color?.premium };
+    };
+
+    // Reads the pixel from the tile on the board
+    let board = null;
+    try {
+      const blob = await this.#getTileBlob(tileX, tileY); // Null if nothing was ever painted on the tile
+
+      let [r, g, b, a] = [0, 0, 0, 0];
+      if (blob) {
+        const bitmap = await createImageBitmap(blob);
+        const context = new OffscreenCanvas(1, 1).getContext('2d', { 'willReadFrequently': true });
+        context.drawImage(bitmap, -x, -y);
+        bitmap.close();
+        [r, g, b, a] = context.getImageData(0, 0, 1, 1).data;
+      }
+      board = describe(a < 64 ? 'transparent' : `${r},${g},${b}`);
+    } catch (error) {
+      console.warn(`Failed to download tile ${tilePrefix}:`, error);
+    }
+
+    // Finds the color each template expects, drawn on top first
+    const templates = [];
+    for (const template of this.getSortedTemplates().reverse()) {
+      if (!template.tilePrefixes?.has(tilePrefix)) {continue;}
+
+      await this.worker.whenTemplateIndexed(template, this.shreadSize);
+      const pixel = await this.worker.run('inspect', { id: template.id, tilePrefix, x, y });
+      if (!pixel) {continue;}
+
+      // #deface pixels are correct when erased. Colors that are not Wplace colors can never be correct
+      const correct = (!board || pixel.key == 'other') ? null
+        : pixel.isDeface ? board.key == 'transparent'
+        : board.key == pixel.key;
+
+      templates.push({
+        storageKey: template.storageKey,
+        name: template.displayName,
+        enabled: template.enabled,
+        expected: describe(pixel.key),
+        correct
+      });
+    }
+
+    return { board, templates };
+  }
+  /** Remembers the newest image of a tile, so it can be read again without downloading it.
+   * Only a few tiles are remembered. The tile used the longest time ago is forgotten first.
+   * @param {Array<number|string>} tileCoords - The tile, as [x, y]
+   * @param {Promise<Blob|null>} blob - The image of the tile, or null if nothing was ever painted on the tile
+   * @since 0.85.25
+   */
+  #rememberTileBlob(tileCoords, blob) {
+    const tilePrefix = tileCoords.map(coord => coord.toString().padStart(4, '0')).join(',');
+    this.tileBlobs.delete(tilePrefix); // Moves the tile to the end of the map, since it is the newest
+    this.tileBlobs.set(tilePrefix, { blob, time: Date.now() });
+    if (this.tileBlobs.size > 16) {this.tileBlobs.delete(this.tileBlobs.keys().next().value);}
+  }
+
+  /** Retrieves the image of a tile.
+   * Tiles the website fetched, or that were downloaded, in the last 30 seconds are not downloaded again.
+   * Clicks made while the tile downloads wait for the same download.
+   * @param {number} tileX - The X coordinate of the tile
+   * @param {number} tileY - The Y coordinate of the tile
+   * @returns {Promise<Blob|null>} The image of the tile, or null if nothing was ever painted on the tile
+   * @since 0.85.25
+   */
+  async #getTileBlob(tileX, tileY) {
+
+    const tilePrefix = `${tileX.toString().padStart(4, '0')},${tileY.toString().padStart(4, '0')}`;
+    const remembered = this.tileBlobs.get(tilePrefix);
+    if (remembered && Date.now() - remembered.time < 30000) {return remembered.blob;}
+
+    const blob = requestBlob(this.tileURL.replace('{x}', tileX).replace('{y}', tileY))
+      .catch(error => {
+        if (error?.status == 404) {return null;} // Nothing was ever painted on the tile
+        if (this.tileBlobs.get(tilePrefix)?.blob === blob) {this.tileBlobs.delete(tilePrefix);} // The next click tries again
+        throw error;
+      });
+    this.#rememberTileBlob([tileX, tileY], blob);
+    return blob;
+  }
+
 }
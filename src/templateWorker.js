@@ -0,0 +1,1076 @@
+/** Runs the pixel work of templates (chunking, and drawing on tiles) away from the main thread.
+ * Reading every pixel of a template on the main thread makes the map stutter while panning.
+ * If the website does not allow a worker to be created, the same jobs run on the main thread instead.
+ * @class TemplateWorker
+ * @since 0.85.9
+ */
+export default class TemplateWorker {
+
+  /** The constructor for the {@link TemplateWorker} class.
+   * @since 0.85.9
+   */
+  constructor() {
+    this.worker = null; // The Web Worker. Null if the jobs run on the main thread
+    this.jobs = createTemplateJobs(); // The jobs, for running on the main thread
+    this.nextJobID = 0; // The ID of the next job sent to the worker
+    this.pendingJobs = new Map(); // Jobs sent to the worker that have not finished. Job ID -> {resolve, reject}
+    this.indexedTemplates = new Map(); // Templates with cached pixels. Template ID -> Promise of the index job
+    this.ready = this.#createWorker(); // Resolves once it is known where the jobs run
+  }
+
+  /** Caches the pixels of a template, so drawing the template does not read the template tiles again.
+   * Any pixels cached before for the template are replaced.
+   * @param {Template} template - The template to cache
+   * @param {number} shreadSize - The scale the template tiles were shreaded at
+   * @returns {Promise<{requiredPixelCount: number, palette: Object<string, number>}>} The number of required pixels in the template tiles, and the count of each color
+   * @since 0.85.10
+   */
+  indexTemplate(template, shreadSize) {
+
+    const job = this.run('index', {
+      id: template.id,
+      shreadSize,
+      allowedColors: [...template.allowedColorsSet],
+      tiles: Object.entries(template.chunked || {}).map(([name, bitmap]) => ({ name, bitmap })) // The bitmaps are copied
+    });
+
+    this.indexedTemplates.set(template.id, job);
+    job.catch(() => {
+      if (this.indexedTemplates.get(template.id) === job) {this.indexedTemplates.delete(template.id);}
+    });
+
+    return job;
+  }
+
+  /** Waits for the pixels of a template to be cached, caching them if they are not.
+   * @param {Template} template - The template to cache
+   * @param {number} shreadSize - The scale the template tiles were shreaded at
+   * @returns {Promise<Object>} The result of {@link indexTemplate}
+   * @since 0.85.10
+   */
+  whenTemplateIndexed(template, shreadSize) {
+    return this.indexedTemplates.get(template.id) ?? this.indexTemplate(template, shreadSize);
+  }
+
+  /** Removes the cached pixels of a template.
+   * @param {Template} template - The template that is no longer used
+   * @since 0.85.10
+   */
+  forgetTemplate(template) {
+    this.indexedTemplates.delete(template.id);
+    this.run('forget', { id: template.id }).catch(() => {}); // The cache is gone anyway if the worker stopped
+  }
+
+  /** Runs a job.
+   * The job runs in the worker when the worker is ready. Otherwise, it runs on the main thread.
+   * @param {string} type - The name of the job ("chunk", "index", "forget", "measure", "draw", "quantize", "transform", or "inspect")
+   * @param {Object} data - The data the job needs
+   * @param {Array<Transferable>} [transfer=[]] - Objects in `data` to hand over to the worker instead of copying. They can not be used after this is called
+   * @returns {Promise<Object>} The result of the job
+   * @since 0.85.9
+   */
+  async run(type, data, transfer = []) {
+
+    await this.ready; // Jobs wait for the worker, so the cached pixels are all in one place
+
+    // Runs on the main thread if the worker could not be used
+    if (!this.worker) {
+      return (await this.jobs[type](data)).result;
+    }
+
+    const id = this.nextJobID++;
+
+    return new Promise((resolve, reject) => {
+      this.pendingJobs.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, data }, transfer);
+    });
+  }
+
+  /** Creates the Web Worker from the jobs.
+   * The worker is only used once it says it is ready, so jobs are never lost to a worker that was blocked.
+   * @returns {Promise<void>} Resolves when the worker is ready, or when the jobs will run on the main thread instead
+   * @since 0.85.9
+   */
+  #createWorker() {
+
+    let resolveReady = () => {};
+    const ready = new Promise(resolve => {resolveReady = resolve;});
+
+    // The jobs are turned into a string, so the worker can be made without a separate file
+    const source = `const jobs = (${createTemplateJobs})();
+      self.onmessage = async ({ data }) => {
+        try {
+          const { result, transfer } = await jobs[data.type](data.data);
+          self.postMessage({ id: data.id, result }, transfer);
+        } catch (error) {
+          self.postMessage({ id: data.id, error: String(error?.message || error) });
+        }
+      };
+      self.postMessage({ ready: true });`;
+
+    let worker = null;
+    let url = '';
+    try {
+      url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+      worker = new Worker(url);
+    } catch (error) {
+      console.warn('Could not create the template worker. Templates will be processed on the main thread.', error);
+      URL.revokeObjectURL(url);
+      return Promise.resolve();
+    }
+
+    // Gives up on the worker if it does not start. E.g. the website blocked it
+    const readyTimeout = setTimeout(() => {
+      console.warn('The template worker did not start. Templates will be processed on the main thread.');
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      resolveReady();
+    }, 5000);
+
+    worker.addEventListener('message', ({ data }) => {
+
+      // The worker has started, so jobs can be sent to it
+      if (data?.ready) {
+        clearTimeout(readyTimeout);
+        this.worker = worker;
+        URL.revokeObjectURL(url);
+        resolveReady();
+        return;
+      }
+
+      const job = this.pendingJobs.get(data?.id);
+      if (!job) {return;} // Kills itself if the job is unknown
+
+      this.pendingJobs.delete(data.id);
+      if (data.error) {
+        job.reject(new Error(data.error));
+      } else {
+        job.resolve(data.result);
+      }
+    });
+
+    // If the worker breaks (or was blocked), every job from now on runs on the main thread
+    worker.addEventListener('error', (event) => {
+      console.warn('The template worker stopped. Templates will be processed on the main thread.', event?.message || event);
+
+      clearTimeout(readyTimeout);
+      this.worker = null;
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      resolveReady();
+
+      for (const job of this.pendingJobs.values()) {
+        job.reject(new Error('The template worker stopped'));
+      }
+      this.pendingJobs.clear();
+      this.indexedTemplates.clear(); // The cached pixels were in the worker
+    });
+
+    return ready;
+  }
+}
+
+/** Creates the jobs that read and write template pixels.
+ * This function is turned into a string to create the worker, so it can not use anything outside of itself.
+ * Each job returns the result, and the objects in the result to transfer back instead of copying.
+ * @returns {Object<string, function(Object): Promise<{result: Object, transfer: Array<Transferable>}>>} The jobs by name
+ * @since 0.85.9
+ */
+export function createTemplateJobs() {
+
+  // The cached pixels of each template. Template ID -> {colors, tiles, filter, hidden}
+  // "colors" are the unique colors of the template as {r, g, b, a, key, isDeface, symbol}
+  // "tiles" are the template tiles by name, as {pixelX, pixelY, width, height, positions, colorIndexes, statuses, bitmap}
+  // "positions" is where each template pixel is in the template tile (y * width + x), and "colorIndexes" is the index of its color
+  // "statuses" is the status of each template pixel when the tile was last compared, or null if it never was
+  // "filter" is the disabled colors and render style the tile bitmaps were drawn with, and "hidden" flags the disabled colors by color index
+  const cache = new Map();
+
+  // The 3x3 symbol of each palette color, by palette index, for the "symbol" render style. Bit (y * 3 + x) is set when the symbol covers (x, y)
+  // Symbols with 3 to 6 of the 9 cells filled are used, so no symbol is nearly empty or nearly full
+  const SYMBOLS = [];
+  for (let bits = 1; bits < 512 && SYMBOLS.length < 128; bits++) {
+    let cells = 0;
+    for (let bit = bits; bit; bit >>= 1) { cells += bit & 1; }
+    if (cells >= 3 && cells <= 6) { SYMBOLS.push(bits); }
+  }
+
+  /** Draws one template pixel as a shread block, in a render style.
+   * #deface pixels are drawn as a translucent gray checkerboard pattern over the whole shread block, in every style.
+   * The "grayscale" blend draws the color as gray, and the "yellow-edge" blend adds a yellow edge around the shread block.
+   * @param {ImageData} image - The image to draw in
+   * @param {number} blockX - The X coordinate of the template pixel in the image, at 1x scale
+   * @param {number} blockY - The Y coordinate of the template pixel in the image, at 1x scale
+   * @param {{r: number, g: number, b: number, a: number, isDeface: boolean, symbol: number}} color - The color of the template pixel
+   * @param {number} drawMult - The scale to draw at (must be odd)
+   * @param {{style: string, opacity: number, blend: string}} look - The render style, the opacity of the "full" style, and the blend of the template. See the draw job
+   * @since 0.85.17
+   */
+  function drawBlock(image, blockX, blockY, color, drawMult, look) {
+
+    const last = drawMult - 1; // The offset of the last pixel of a shread block
+    const center = last / 2; // The offset of the center pixel of a shread block
+    const gray = Math.round(color.r * 0.299 + color.g * 0.587 + color.b * 0.114); // Perceived brightness of the color
+    const rgba = look.blend === 'grayscale' ? [gray, gray, gray, color.a] : [color.r, color.g, color.b, color.a];
+    if (look.style === 'full') { rgba[3] = Math.round(color.a * look.opacity); }
+    const contrast = gray > 128 ? [0, 0, 0, 255] : [255, 255, 255, 255]; // Symbols are black on light colors, and white on dark colors
+
+    for (let y = 0; y < drawMult; y++) {
+      for (let x = 0; x < drawMult; x++) {
+
+        const imageX = blockX * drawMult + x;
+        const imageY = blockY * drawMult + y;
+        const pixel = (imageY * image.width + imageX) * 4;
+
+        if (color.isDeface) {
+          const shade = (imageX + imageY) % 2 === 0 ? 0 : 255; // Formula for checkerboard pattern
+          image.data.set([shade, shade, shade, 32], pixel);
+          continue;
+        }
+
+        switch (look.style) {
+          case 'full': // Every pixel of the block
+            image.data.set(rgba, pixel);
+            break;
+          case 'outline': // The edge of the block, so the painted pixel shows through the middle
+            if (x === 0 || y === 0 || x === last || y === last) { image.data.set(rgba, pixel); }
+            break;
+          case 'crosshair': // The middle row and column of the block
+            if (x === center || y === center) { image.data.set(rgba, pixel); }
+            break;
+          case 'symbol': { // The block in the color, with the symbol of the color in the middle
+            const symbolX = x - center + 1;
+            const symbolY = y - center + 1;
+            const isSymbol = symbolX >= 0 && symbolX < 3 && symbolY >= 0 && symbolY < 3 && (color.symbol >> (symbolY * 3 + symbolX)) & 1;
+            image.data.set(isSymbol ? contrast : rgba, pixel);
+            break;
+          }
+          default: // "dot" only draws the middle pixel
+            if (x === center && y === center) { image.data.set(rgba, pixel); }
+        }
+
+        if (look.blend === 'yellow-edge' && (x === 0 || y === 0 || x === last || y === last)) {
+          image.data.set([255, 255, 0, 255], pixel);
+        }
+      }
+    }
+  }
+
+  /** Draws a cached template tile at the shread scale, leaving out hidden colors.
+   * @param {Object} tile - The cached template tile
+   * @param {Object} template - The cached template
+   * @param {number} drawMult - The scale to draw at (must be odd)
+   * @param {{style: string, opacity: number}} look - The render style. See {@link drawBlock}
+   * @returns {Promise<ImageBitmap>} The template tile
+   * @since 0.85.10
+   */
+  async function drawCachedTile(tile, template, drawMult, look) {
+
+    const image = new ImageData(tile.width * drawMult, tile.height * drawMult);
+
+    for (let index = 0; index < tile.positions.length; index++) {
+
+      if (template.hidden[tile.colorIndexes[index]]) { continue; } // The color is disabled
+
+      const blockX = tile.positions[index] % tile.width;
+      const blockY = (tile.positions[index] - blockX) / tile.width;
+
+      drawBlock(image, blockX, blockY, template.colors[tile.colorIndexes[index]], drawMult, look);
+    }
+
+    return createImageBitmap(image);
+  }
+
+  /** Draws only the pixels of a cached template tile that have a status, at the shread scale, leaving out hidden colors.
+   * Wrong pixels are outlined in red, around the color that should be there.
+   * @param {Uint8ClampedArray} tilePixels - The 1x pixels of the tile
+   * @param {number} tileSize - The size of a tile in pixels
+   * @param {Object} template - The cached template
+   * @param {Object} tile - The cached template tile
+   * @param {number} drawMult - The scale to draw at (must be odd)
+   * @param {{style: string, opacity: number}} look - The render style. See {@link drawBlock}
+   * @param {number} status - The status of the pixels to draw (PIXEL_PAINTED, PIXEL_MISSING, or PIXEL_WRONG)
+   * @returns {Promise<ImageBitmap>} The template tile
+   * @since 0.85.14
+   */
+  async function drawComparedTile(tilePixels, tileSize, template, tile, drawMult, look, status) {
+
+    const width = tile.width * drawMult;
+    const image = new ImageData(width, tile.height * drawMult);
+
+    for (let index = 0; index < tile.positions.length; index++) {
+
+      if (template.hidden[tile.colorIndexes[index]]) { continue; } // The color is disabled
+
+      const blockX = tile.positions[index] % tile.width;
+      const blockY = (tile.positions[index] - blockX) / tile.width;
+      const x = tile.pixelX + blockX;
+      const y = tile.pixelY + blockY;
+
+      if (x >= tileSize || y >= tileSize) { continue; } // The pixel is outside of the tile
+
+      const color = template.colors[tile.colorIndexes[index]];
+      if (getPixelStatus(tilePixels, (y * tileSize + x) * 4, color) !== status) { continue; }
+
+      // #deface pixels have no color to show, so only the outline is drawn
+      if (!color.isDeface) {
+        drawBlock(image, blockX, blockY, color, drawMult, look);
+      }
+
+      // Outlines wrong pixels in red
+      if (status === PIXEL_WRONG) {
+        for (let outlineY = blockY * drawMult; outlineY < (blockY + 1) * drawMult; outlineY++) {
+          for (let outlineX = blockX * drawMult; outlineX < (blockX + 1) * drawMult; outlineX++) {
+            const isEdge = outlineY == blockY * drawMult || outlineY == (blockY + 1) * drawMult - 1 || outlineX == blockX * drawMult || outlineX == (blockX + 1) * drawMult - 1;
+            if (isEdge) { image.data.set([255, 0, 0, 255], (outlineY * width + outlineX) * 4); }
+          }
+        }
+      }
+    }
+
+    return createImageBitmap(image);
+  }
+
+  /** Reads the pixels of a tile at 1x scale.
+   * @param {Blob|null} tileBlob - The tile image from the server. Null if nothing is painted on the tile
+   * @param {number} tileSize - The size of a tile in pixels
+   * @returns {Promise<{tileBitmap: ImageBitmap|null, tilePixels: Uint8ClampedArray|null}>} The tile, and its pixels (null if they could not be read)
+   * @since 0.85.12
+   */
+  async function readTile(tileBlob, tileSize) {
+
+    if (!tileBlob) {return { tileBitmap: null, tilePixels: new Uint8ClampedArray(tileSize * tileSize * 4) };} // Nothing is painted
+
+    const tileBitmap = await createImageBitmap(tileBlob);
+
+    let tilePixels = null;
+    try {
+      const readCanvas = new OffscreenCanvas(tileSize, tileSize);
+      const readContext = readCanvas.getContext('2d', { 'willReadFrequently': true });
+      readContext.drawImage(tileBitmap, 0, 0, tileSize, tileSize);
+      tilePixels = readContext.getImageData(0, 0, tileSize, tileSize).data;
+    } catch (ignored) {
+      // If reading fails for any reason, we will skip stats
+    }
+
+    return { tileBitmap, tilePixels };
+  }
+
+  const PIXEL_ERASED = 0; // A #deface (Transparent) template pixel with nothing painted on it. These pixels must be erased, not painted
+  const PIXEL_PAINTED = 1; // A template pixel painted with the correct color
+  const PIXEL_MISSING = 2; // A template pixel that is not painted yet
+  const PIXEL_WRONG = 3; // A template pixel painted with the wrong color (or a #deface template pixel that was painted)
+
+  const MAX_DAMAGE = 100; // The most damaged pixels listed for each template on a tile. More are only counted
+
+  /** Compares one template pixel against the same pixel on the tile.
+   * @param {Uint8ClampedArray} tilePixels - The 1x pixels of the tile
+   * @param {number} tilePixel - The index of the pixel in `tilePixels`
+   * @param {{r: number, g: number, b: number, isDeface: boolean}} color - The color of the template pixel
+   * @returns {number} The status of the pixel (PIXEL_ERASED, PIXEL_PAINTED, PIXEL_MISSING, or PIXEL_WRONG)
+   * @since 0.85.14
+   */
+  function getPixelStatus(tilePixels, tilePixel, color) {
+
+    const isPainted = tilePixels[tilePixel + 3] >= 64; // Treat transparent tile pixels as unpainted (not wrong)
+
+    // #deface (Transparent) pixels must be erased, so they are wrong if anything is painted on them
+    if (color.isDeface) {
+      return isPainted ? PIXEL_WRONG : PIXEL_ERASED;
+    }
+
+    if (!isPainted) {
+      return PIXEL_MISSING;
+    }
+
+    // Strict pixel matching
+    return (
+      tilePixels[tilePixel] === color.r &&
+      tilePixels[tilePixel + 1] === color.g &&
+      tilePixels[tilePixel + 2] === color.b
+    ) ? PIXEL_PAINTED : PIXEL_WRONG;
+  }
+
+  /** Compares the pixels of a cached template tile against the pixels of a tile, and adds them to the stats.
+   * "required" pixels are the pixels that should be painted. Each is either "painted" (correct), "missing" (unpainted), or "wrong".
+   * "erase" pixels are the #deface (Transparent) pixels, that should have nothing painted on them. Each is either "erased" (correct), or "wrong".
+   * The same stats are also counted for each color, by palette key.
+   * Pixels that were done (correct, or an untouched #deface pixel) the last time the tile was compared, but are not anymore, are "damaged".
+   * @param {Uint8ClampedArray} tilePixels - The 1x pixels of the tile
+   * @param {number} tileSize - The size of a tile in pixels
+   * @param {Object} template - The cached template
+   * @param {Object} tile - The cached template tile
+   * @param {{painted: number, required: number, missing: number, wrong: number, erase: number, erased: number, colors: Object<string, Object>, damaged: number, damage: Array<Object>}} stats - The stats to add to. "colors" holds the same stats for each palette key. "damage" holds up to MAX_DAMAGE damaged pixels
+   * @since 0.85.12
+   */
+  function countTemplatePixels(tilePixels, tileSize, template, tile, stats) {
+
+    const PAINTED = 0, REQUIRED = 1, MISSING = 2, WRONG = 3, ERASE = 4, ERASED = 5; // Offsets of each stat for a color in colorCounts
+    const STATS = 6; // The number of stats for each color
+    const colorCounts = new Uint32Array(template.colors.length * STATS); // The stats of each color, by color index
+    const previousStatuses = tile.statuses; // Null the first time the tile is compared, so nothing counts as damaged
+    tile.statuses = new Uint8Array(tile.positions.length);
+
+    for (let index = 0; index < tile.positions.length; index++) {
+
+      const blockX = tile.positions[index] % tile.width;
+      const x = tile.pixelX + blockX;
+      const y = tile.pixelY + (tile.positions[index] - blockX) / tile.width;
+
+      // IF the pixel is outside of the tile, then skip the pixel
+      if (x >= tileSize || y >= tileSize) { continue; }
+
+      const colorIndex = tile.colorIndexes[index];
+      const color = template.colors[colorIndex];
+      const counts = colorIndex * STATS; // Where the stats of this color start in colorCounts
+      const tilePixel = (y * tileSize + x) * 4; // The same pixel on the tile
+
+      colorCounts[counts + (color.isDeface ? ERASE : REQUIRED)]++; // #deface pixels must be erased, not painted
+
+      const status = getPixelStatus(tilePixels, tilePixel, color);
+      tile.statuses[index] = status;
+
+      switch (status) {
+        case PIXEL_PAINTED: colorCounts[counts + PAINTED]++; break; // ...the pixel is painted correctly
+        case PIXEL_MISSING: colorCounts[counts + MISSING]++; break; // ...the pixel is not painted yet
+        case PIXEL_WRONG: colorCounts[counts + WRONG]++; break; // ...the pixel is NOT painted correctly
+        case PIXEL_ERASED: colorCounts[counts + ERASED]++; break; // ...the pixel is erased correctly
+      }
+
+      // IF the pixel was done the last time, but is not anymore, then the pixel was damaged
+      const previousStatus = previousStatuses?.[index];
+      if ((previousStatus === PIXEL_PAINTED || previousStatus === PIXEL_ERASED) && (status === PIXEL_MISSING || status === PIXEL_WRONG)) {
+        stats.damaged++;
+        if (stats.damage.length < MAX_DAMAGE) {
+          stats.damage.push({
+            x,
+            y,
+            oldColor: color.isDeface ? null : `${color.r},${color.g},${color.b}`, // Null is transparent
+            newColor: status === PIXEL_WRONG ? `${tilePixels[tilePixel]},${tilePixels[tilePixel + 1]},${tilePixels[tilePixel + 2]}` : null
+          });
+        }
+      }
+    }
+
+    // Adds the stats of each color to the stats of the template, and of the palette key
+    template.colors.forEach((color, colorIndex) => {
+      const counts = colorIndex * STATS;
+      if (!colorCounts[counts + REQUIRED] && !colorCounts[counts + ERASE]) { return; } // The color is not on this tile
+
+      const colorStats = stats.colors[color.key] ??= { painted: 0, required: 0, missing: 0, wrong: 0, erase: 0, erased: 0 };
+      for (const [stat, offset] of [['painted', PAINTED], ['required', REQUIRED], ['missing', MISSING], ['wrong', WRONG], ['erase', ERASE], ['erased', ERASED]]) {
+        colorStats[stat] += colorCounts[counts + offset];
+        stats[stat] += colorCounts[counts + offset];
+      }
+    });
+  }
+
+  // The names of the jobs are quoted, so minifying does not rename them. Jobs are looked up by name in `run()`
+  return {
+
+    /** Reads the center pixel of every shread block of a template's tiles, and caches them.
+     * Also counts the required pixels (not transparent, and not #deface) and the colors of the template.
+     * @param {Object} data
+     * @param {number} data.id - The ID of the template
+     * @param {number} data.shreadSize - The scale the template tiles were shreaded at
+     * @param {Array<string>} data.allowedColors - The "r,g,b" keys of the Wplace palette
+     * @param {Array<{name: string, bitmap: ImageBitmap}>} data.tiles - The shreaded template tiles
+     * @since 0.85.10
+     */
+    async 'index'({ id, shreadSize, allowedColors, tiles }) {
+
+      const allowedColorsSet = new Set(allowedColors);
+      const center = (shreadSize - 1) / 2; // The offset of the center pixel of a shread block
+      const colors = [];
+      const colorIndexes = new Map(); // Packed RGBA -> index in colors
+      const cachedTiles = new Map();
+      let requiredPixelCount = 0;
+      const palette = {}; // key: "r,g,b" -> count
+
+      for (const { name, bitmap } of tiles) {
+
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const context = canvas.getContext('2d', { 'willReadFrequently': true });
+        context.drawImage(bitmap, 0, 0);
+        const data = context.getImageData(0, 0, bitmap.width, bitmap.height).data;
+
+        const width = Math.floor(bitmap.width / shreadSize); // Width of the template tile in pixels
+        const height = Math.floor(bitmap.height / shreadSize); // Height of the template tile in pixels
+        const positions = [];
+        const indexes = [];
+
+        for (let blockY = 0; blockY < height; blockY++) {
+          for (let blockX = 0; blockX < width; blockX++) {
+
+            const idx = ((blockY * shreadSize + center) * bitmap.width + blockX * shreadSize + center) * 4; // Shread block center pixel
+            const [r, g, b, a] = data.subarray(idx, idx + 4);
+
+            // #deface pixels are stored as a translucent black and white checkerboard.
+            // The center pixel is black or white, depending on where the shread block is on the checkerboard
+            const isDeface = a === 32 && r === g && g === b && (r === 0 || r === 255);
+
+            if (a < 64 && !isDeface) { continue; } // Not part of the template. Mostly transparent pixels are ignored, like when the template was chunked
+
+            const packed = ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+            let colorIndex = colorIndexes.get(packed);
+            if (colorIndex === undefined) {
+              const key = isDeface ? '222,250,206' : (allowedColorsSet.has(`${r},${g},${b}`) ? `${r},${g},${b}` : 'other');
+              colorIndex = colors.push({ r, g, b, a, key, isDeface, symbol: SYMBOLS[allowedColors.indexOf(key)] ?? 0 }) - 1;
+              colorIndexes.set(packed, colorIndex);
+            }
+
+            positions.push(blockY * width + blockX);
+            indexes.push(colorIndex);
+
+            // Counts the colors. #deface pixels are counted as a color, but are not required
+            if (!isDeface) { requiredPixelCount++; }
+            palette[colors[colorIndex].key] = (palette[colors[colorIndex].key] || 0) + 1;
+          }
+        }
+
+        const [, , pixelX, pixelY] = name.split(',').map(Number);
+        cachedTiles.set(name, {
+          pixelX,
+          pixelY,
+          width,
+          height,
+          positions: Uint32Array.from(positions),
+          colorIndexes: (colors.length > 0xFFFF ? Uint32Array : Uint16Array).from(indexes),
+          statuses: null, // Filled in when first compared
+          bitmap: null // Drawn when first needed
+        });
+      }
+
+      // Replaces the old cache of the template, if any
+      for (const tile of cache.get(id)?.tiles.values() || []) { tile.bitmap?.close(); }
+      cache.set(id, { colors, tiles: cachedTiles, filter: null, hidden: new Uint8Array(colors.length) });
+
+      return { result: { requiredPixelCount, palette }, transfer: [] };
+    },
+
+    /** Removes the cached pixels of a template.
+     * @param {Object} data
+     * @param {number} data.id - The ID of the template
+     * @since 0.85.10
+     */
+    async 'forget'({ id }) {
+      for (const tile of cache.get(id)?.tiles.values() || []) { tile.bitmap?.close(); }
+      cache.delete(id);
+      return { result: {}, transfer: [] };
+    },
+
+    /** Finds the color a template expects at one pixel.
+     * @param {Object} data
+     * @param {number} data.id - The ID of the template
+     * @param {string} data.tilePrefix - The tile of the pixel, as "xxxx,yyyy"
+     * @param {number} data.x - The X coordinate of the pixel in the tile
+     * @param {number} data.y - The Y coordinate of the pixel in the tile
+     * @since 0.85.25
+     */
+    async 'inspect'({ id, tilePrefix, x, y }) {
+
+      for (const [name, tile] of cache.get(id)?.tiles || []) {
+        if (!name.startsWith(`${tilePrefix},`)) { continue; } // Not the tile of the pixel
+
+        const blockX = x - tile.pixelX;
+        const blockY = y - tile.pixelY;
+        if (blockX < 0 || blockY < 0 || blockX >= tile.width || blockY >= tile.height) { continue; } // The template tile does not cover the pixel
+
+        // The positions are in order, so the pixel is found with a binary search
+        const position = blockY * tile.width + blockX;
+        let [low, high] = [0, tile.positions.length - 1];
+        while (low <= high) {
+          const middle = (low + high) >> 1;
+          if (tile.positions[middle] < position) { low = middle + 1; }
+          else if (tile.positions[middle] > position) { high = middle - 1; }
+          else {
+            const { key, isDeface } = cache.get(id).colors[tile.colorIndexes[middle]];
+            return { result: { key, isDeface }, transfer: [] };
+          }
+        }
+      }
+
+      return { result: null, transfer: [] }; // The template has no pixel here
+    },
+
+    /** Changes every color of an image to the nearest color of a palette.
+     * Mostly transparent pixels become fully transparent, and #deface pixels are kept, since they mark pixels to erase.
+     * @param {Object} data
+     * @param {ImageBitmap} data.bitmap - The image to convert
+     * @param {Array<Array<number>>} data.palette - The [r, g, b] colors to convert to
+     * @param {string} [data.dither='none'] - "none", "floyd-steinberg" (spreads the error of each pixel to the pixels after it), or "ordered" (a 4x4 Bayer pattern)
+     * @param {string} [data.distance='lab'] - How the nearest color is found. "lab" (perceptual, CIE76 in CIELAB) or "rgb"
+     * @since 0.85.20
+     */
+    async 'quantize'({ bitmap, palette, dither = 'none', distance = 'lab' }) {
+
+      const { width, height } = bitmap;
+      const canvas = new OffscreenCanvas(width, height);
+      const context = canvas.getContext('2d', { 'willReadFrequently': true });
+      context.drawImage(bitmap, 0, 0);
+      bitmap.close();
+      const image = context.getImageData(0, 0, width, height);
+      const data = image.data;
+
+      if (!palette.length) {throw new Error('There are no colors to convert to');}
+
+      /** Converts an sRGB color to CIELAB (D65 white point) */
+      const toLab = (r, g, b) => {
+        const linear = (channel) => (channel /= 255) <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+        const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+        const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+        const fx = f((lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047);
+        const fy = f(lr * 0.2126 + lg * 0.7152 + lb * 0.0722);
+        const fz = f((lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883);
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+      };
+      const toSpace = distance === 'lab' ? toLab : (r, g, b) => [r, g, b];
+      const paletteSpace = palette.map(([r, g, b]) => toSpace(r, g, b));
+
+      const nearestCache = new Map(); // Packed RGB -> palette index. Many pixels share a color
+      const nearest = (r, g, b) => {
+        const packed = (r << 16) | (g << 8) | b;
+        let best = nearestCache.get(packed);
+        if (best !== undefined) { return best; }
+
+        const [x, y, z] = toSpace(r, g, b);
+        let bestDistance = Infinity;
+        paletteSpace.forEach(([px, py, pz], index) => {
+          const colorDistance = (x - px) ** 2 + (y - py) ** 2 + (z - pz) ** 2;
+          if (colorDistance < bestDistance) { bestDistance = colorDistance; best = index; }
+        });
+        nearestCache.set(packed, best);
+        return best;
+      };
+
+      const BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5]; // 4x4 ordered dithering thresholds
+      const errors = dither === 'floyd-steinberg' ? new Float32Array(width * height * 3) : null; // The error carried to each pixel, as [r, g, b]
+      let pixelCount = 0; // Pixels in the converted image
+      let changedPixelCount = 0; // Pixels whose color changed
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+
+          const pixel = y * width + x;
+          const index = pixel * 4;
+
+          // Mostly transparent pixels are not part of the template
+          if (data[index + 3] < 64) {
+            if (data[index + 3] > 0) { changedPixelCount++; }
+            data[index + 3] = 0;
+            continue;
+          }
+
+          pixelCount++;
+
+          // #deface pixels mark pixels to erase, so they are kept
+          if (data[index] === 222 && data[index + 1] === 250 && data[index + 2] === 206) {
+            if (data[index + 3] !== 255) { changedPixelCount++; }
+            data[index + 3] = 255;
+            continue;
+          }
+
+          // The color to match, after dithering
+          let [r, g, b] = [data[index], data[index + 1], data[index + 2]];
+          if (errors) {
+            r += errors[pixel * 3];
+            g += errors[pixel * 3 + 1];
+            b += errors[pixel * 3 + 2];
+          } else if (dither === 'ordered') {
+            const offset = (BAYER[(y % 4) * 4 + (x % 4)] / 16 - 0.5) * 32; // From -16 to 15
+            r += offset;
+            g += offset;
+            b += offset;
+          }
+          const clamp = (channel) => Math.min(255, Math.max(0, Math.round(channel)));
+          [r, g, b] = [clamp(r), clamp(g), clamp(b)];
+
+          const [nr, ng, nb] = palette[nearest(r, g, b)];
+
+          // Spreads the error to the right, and to the row below
+          if (errors) {
+            const spread = [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]];
+            for (const [dx, dy, weight] of spread) {
+              if (x + dx < 0 || x + dx >= width || y + dy >= height) { continue; }
+              const target = ((y + dy) * width + x + dx) * 3;
+              errors[target] += (r - nr) * weight;
+              errors[target + 1] += (g - ng) * weight;
+              errors[target + 2] += (b - nb) * weight;
+            }
+          }
+
+          if (data[index] !== nr || data[index + 1] !== ng || data[index + 2] !== nb || data[index + 3] !== 255) { changedPixelCount++; }
+          data.set([nr, ng, nb, 255], index);
+        }
+      }
+
+      context.putImageData(image, 0, 0);
+      const blob = await canvas.convertToBlob({ type: 'image/png' });
+
+      return { result: { blob, pixelCount, changedPixelCount }, transfer: [] };
+    },
+
+    /** Crops, resizes, flips and rotates an image, in that order.
+     * "area" resizing averages the pixels under each new pixel, so it can make colors that are not in the palette.
+     * @param {Object} data
+     * @param {ImageBitmap} data.bitmap - The image to change
+     * @param {{x: number, y: number, width: number, height: number}} [data.crop] - The part of the image to keep. The whole image is kept if missing
+     * @param {number} [data.width] - The width to resize to, after cropping. Follows the aspect ratio of the crop if missing
+     * @param {number} [data.height] - The height to resize to, after cropping. Follows the aspect ratio of the crop if missing
+     * @param {string} [data.resample='nearest'] - "nearest" (keeps every color) or "area" (averages the pixels)
+     * @param {boolean} [data.flipX=false] - Mirrors the image left to right
+     * @param {boolean} [data.flipY=false] - Mirrors the image top to bottom
+     * @param {number} [data.rotate=0] - Degrees to rotate clockwise. 0, 90, 180 or 270
+     * @since 0.85.21
+     */
+    async 'transform'({ bitmap, crop, width, height, resample = 'nearest', flipX = false, flipY = false, rotate = 0 }) {
+
+      // Keeps the crop inside the image
+      const cropX = Math.min(Math.max(Math.round(crop?.x) || 0, 0), bitmap.width - 1);
+      const cropY = Math.min(Math.max(Math.round(crop?.y) || 0, 0), bitmap.height - 1);
+      const cropWidth = Math.min(Math.round(crop?.width) || bitmap.width, bitmap.width - cropX);
+      const cropHeight = Math.min(Math.round(crop?.height) || bitmap.height, bitmap.height - cropY);
+      if (cropWidth < 1 || cropHeight < 1) { bitmap.close(); throw new Error('The crop is empty'); }
+
+      // A missing side follows the aspect ratio of the crop
+      width = Math.round(width) || 0;
+      height = Math.round(height) || 0;
+      if (!width && !height) { [width, height] = [cropWidth, cropHeight]; }
+      width ||= Math.max(1, Math.round(height * cropWidth / cropHeight));
+      height ||= Math.max(1, Math.round(width * cropHeight / cropWidth));
+      if (width > 10000 || height > 10000) { bitmap.close(); throw new Error('The image can not be larger than 10000 pixels on a side'); }
+
+      const sized = new OffscreenCanvas(width, height);
+      const sizedContext = sized.getContext('2d', { 'willReadFrequently': true });
+
+      if (resample === 'area') {
+
+        const source = new OffscreenCanvas(cropWidth, cropHeight);
+        const sourceContext = source.getContext('2d', { 'willReadFrequently': true });
+        sourceContext.drawImage(bitmap, cropX, cropY, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
+        const sourceData = sourceContext.getImageData(0, 0, cropWidth, cropHeight).data;
+        const image = sizedContext.createImageData(width, height);
+        const scaleX = cropWidth / width;
+        const scaleY = cropHeight / height;
+
+        for (let y = 0; y < height; y++) {
+          const top = y * scaleY;
+          const bottom = top + scaleY;
+          for (let x = 0; x < width; x++) {
+            const left = x * scaleX;
+            const right = left + scaleX;
+
+            // Sums the source pixels under this pixel, weighted by how much of them is covered.
+            // The colors are weighted by alpha too, so transparent pixels do not darken the edges
+            let [r, g, b, a, coverage] = [0, 0, 0, 0, 0];
+            for (let sourceY = Math.floor(top); sourceY < Math.min(Math.ceil(bottom), cropHeight); sourceY++) {
+              const weightY = Math.min(bottom, sourceY + 1) - Math.max(top, sourceY);
+              for (let sourceX = Math.floor(left); sourceX < Math.min(Math.ceil(right), cropWidth); sourceX++) {
+                const weight = weightY * (Math.min(right, sourceX + 1) - Math.max(left, sourceX));
+                const index = (sourceY * cropWidth + sourceX) * 4;
+                const alpha = sourceData[index + 3] * weight;
+                r += sourceData[index] * alpha;
+                g += sourceData[index + 1] * alpha;
+                b += sourceData[index + 2] * alpha;
+                a += alpha;
+                coverage += weight;
+              }
+            }
+
+            if (a > 0) { image.data.set([r / a, g / a, b / a, a / coverage], (y * width + x) * 4); }
+          }
+        }
+
+        sizedContext.putImageData(image, 0, 0);
+      } else {
+        sizedContext.imageSmoothingEnabled = false;
+        sizedContext.drawImage(bitmap, cropX, cropY, cropWidth, cropHeight, 0, 0, width, height);
+      }
+      bitmap.close();
+
+      // Flips and rotates around the middle of the image
+      rotate = ((Math.round(rotate / 90) % 4) + 4) % 4 * 90;
+      const turned = rotate % 180 !== 0;
+      const canvas = new OffscreenCanvas(turned ? height : width, turned ? width : height);
+      const context = canvas.getContext('2d', { 'willReadFrequently': true });
+      context.translate(canvas.width / 2, canvas.height / 2);
+      context.rotate(rotate * Math.PI / 180);
+      context.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+      context.drawImage(sized, -width / 2, -height / 2);
+
+      // Counts the pixels that will be part of the template
+      const data = context.getImageData(0, 0, canvas.width, canvas.height).data;
+      let pixelCount = 0;
+      for (let index = 3; index < data.length; index += 4) {
+        if (data[index] >= 64) { pixelCount++; }
+      }
+
+      const blob = await canvas.convertToBlob({ type: 'image/png' });
+
+      return { result: { blob, width: canvas.width, height: canvas.height, pixelCount }, transfer: [] };
+    },
+
+    /** Chunks a template image into shreaded template tiles, and counts the pixels of the image.
+     * The image is also returned as a 1x scale PNG, for storage.
+     * @param {Object} data
+     * @param {ImageBitmap} data.bitmap - The template image
+     * @param {Array<number>} data.coords - The coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
+     * @param {number} data.tileSize - The size of a tile in pixels
+     * @param {number} data.shreadSize - The scale to shread the image at (must be odd)
+     * @param {Array<string>} data.allowedColors - The "r,g,b" keys of the Wplace palette
+     * @since 0.85.9
+     */
+    async 'chunk'({ bitmap, coords, tileSize, shreadSize, allowedColors }) {
+
+      const allowedColorsSet = new Set(allowedColors);
+      const imageWidth = bitmap.width;
+      const imageHeight = bitmap.height;
+
+      const pixelCount = imageWidth * imageHeight; // Total pixels using width × height
+      let requiredPixelCount = pixelCount; // Falls back to width × height if the pixels can not be inspected
+      let defacePixelCount = 0;
+      const palette = {}; // key: "r,g,b" -> count
+
+      // Build a 1× scale canvas of the original pixels. This is also the image that is stored
+      const inspectCanvas = new OffscreenCanvas(imageWidth, imageHeight);
+      const inspectCtx = inspectCanvas.getContext('2d', { 'willReadFrequently': true });
+      inspectCtx.imageSmoothingEnabled = false;
+      inspectCtx.drawImage(bitmap, 0, 0);
+      const image = await (await inspectCanvas.convertToBlob({ type: 'image/png' })).arrayBuffer();
+
+      // ==================== REQUIRED/DEFACE PIXEL COUNTING ====================
+      // Inspect original pixels and count required vs deface
+      try {
+        const inspectData = inspectCtx.getImageData(0, 0, imageWidth, imageHeight).data;
+
+        let required = 0;
+        for (let idx = 0; idx < inspectData.length; idx += 4) {
+          const r = inspectData[idx];
+          const g = inspectData[idx + 1];
+          const b = inspectData[idx + 2];
+          if (inspectData[idx + 3] < 64) { continue; } // Ignores mostly transparent pixels. They are not part of the template
+          if (r === 222 && g === 250 && b === 206) { defacePixelCount++; } else { required++; }
+          const key = allowedColorsSet.has(`${r},${g},${b}`) ? `${r},${g},${b}` : 'other';
+          palette[key] = (palette[key] || 0) + 1;
+        }
+        requiredPixelCount = required;
+      } catch (error) {
+        console.warn('Failed to compute required/deface counts. Falling back to total pixels.', error);
+      }
+
+      const tiles = []; // The shreaded template tiles, as {name, bitmap}
+      const transfer = [image];
+
+      const canvas = new OffscreenCanvas(tileSize, tileSize);
+      const context = canvas.getContext('2d', { 'willReadFrequently': true });
+
+      // For every tile...
+      for (let pixelY = coords[3]; pixelY < imageHeight + coords[3]; ) {
+
+        // Draws the partial tile first, if any
+        // This calculates the size based on which is smaller:
+        // A. The top left corner of the current tile to the bottom right corner of the current tile
+        // B. The top left corner of the current tile to the bottom right corner of the image
+        const drawSizeY = Math.min(tileSize - (pixelY % tileSize), imageHeight - (pixelY - coords[3]));
+
+        for (let pixelX = coords[2]; pixelX < imageWidth + coords[2]; ) {
+
+          const drawSizeX = Math.min(tileSize - (pixelX % tileSize), imageWidth - (pixelX - coords[2]));
+
+          // Change the canvas size and wipe the canvas
+          const canvasWidth = drawSizeX * shreadSize;
+          const canvasHeight = drawSizeY * shreadSize;
+          canvas.width = canvasWidth;
+          canvas.height = canvasHeight;
+
+          context.imageSmoothingEnabled = false; // Nearest neighbor
+
+          // Draws the template segment on this tile segment
+          context.clearRect(0, 0, canvasWidth, canvasHeight); // Clear any previous drawing (only runs when canvas size does not change)
+          context.drawImage(
+            bitmap, // Bitmap image to draw
+            pixelX - coords[2], // Coordinate X to draw from
+            pixelY - coords[3], // Coordinate Y to draw from
+            drawSizeX, // X width to draw from
+            drawSizeY, // Y height to draw from
+            0, // Coordinate X to draw at
+            0, // Coordinate Y to draw at
+            canvasWidth, // X width to draw at
+            canvasHeight // Y height to draw at
+          ); // Coordinates and size of draw area of source image, then canvas
+
+          const imageData = context.getImageData(0, 0, canvasWidth, canvasHeight); // Data of the image on the canvas
+
+          for (let y = 0; y < canvasHeight; y++) {
+            for (let x = 0; x < canvasWidth; x++) {
+              // For every pixel...
+              const pixelIndex = (y * canvasWidth + x) * 4; // Find the pixel index in an array where every 4 indexes are 1 pixel
+              // If the pixel is the color #deface, draw a translucent gray checkerboard pattern
+              if (
+                imageData.data[pixelIndex] === 222 &&
+                imageData.data[pixelIndex + 1] === 250 &&
+                imageData.data[pixelIndex + 2] === 206 &&
+                imageData.data[pixelIndex + 3] >= 64
+              ) {
+                const shade = (x + y) % 2 === 0 ? 0 : 255; // Formula for checkerboard pattern
+                imageData.data[pixelIndex] = shade;
+                imageData.data[pixelIndex + 1] = shade;
+                imageData.data[pixelIndex + 2] = shade;
+                imageData.data[pixelIndex + 3] = 32; // Make it translucent
+              } else if (x % shreadSize !== 1 || y % shreadSize !== 1 || imageData.data[pixelIndex + 3] < 64) { // Otherwise only draw the middle pixel, unless it is mostly transparent
+                imageData.data[pixelIndex + 3] = 0; // Make the pixel transparent on the alpha channel
+              }
+            }
+          }
+
+          context.putImageData(imageData, 0, 0);
+
+          // Creates the "0000,0000,000,000" key name
+          const name = `${(coords[0] + Math.floor(pixelX / tileSize))
+            .toString()
+            .padStart(4, '0')},${(coords[1] + Math.floor(pixelY / tileSize))
+            .toString()
+            .padStart(4, '0')},${(pixelX % tileSize)
+            .toString()
+            .padStart(3, '0')},${(pixelY % tileSize).toString().padStart(3, '0')}`;
+
+          const tileBitmap = await createImageBitmap(canvas); // Creates the bitmap
+
+          tiles.push({ name, bitmap: tileBitmap });
+          transfer.push(tileBitmap);
+
+          pixelX += drawSizeX;
+        }
+
+        pixelY += drawSizeY;
+      }
+
+      bitmap.close(); // The image is no longer needed
+
+      return { result: { pixelCount, requiredPixelCount, defacePixelCount, palette, tiles, image }, transfer };
+    },
+
+    /** Counts the painted, required, missing, and wrong pixels of each template on a tile, without drawing anything.
+     * The templates must be cached by the index job first.
+     * @param {Object} data
+     * @param {Blob|null} data.tileBlob - The tile image from the server. Null if nothing is painted on the tile
+     * @param {number} data.tileSize - The size of a tile in pixels
+     * @param {Array<{id: number, tileNames: Array<string>}>} data.templates - The templates to count
+     * @since 0.85.12
+     */
+    async 'measure'({ tileBlob, tileSize, templates }) {
+
+      const { tileBitmap, tilePixels } = await readTile(tileBlob, tileSize);
+      tileBitmap?.close();
+
+      if (!tilePixels) {throw new Error('Could not read the pixels of the tile');}
+
+      const stats = templates.map(({ id, tileNames }) => {
+
+        const template = cache.get(id);
+        if (!template) {throw new Error(`The pixels of template ${id} are not cached`);}
+
+        const templateStats = { painted: 0, required: 0, missing: 0, wrong: 0, erase: 0, erased: 0, colors: {}, damaged: 0, damage: [] };
+        for (const tileName of tileNames) {
+          const tile = template.tiles.get(tileName);
+          if (tile) {countTemplatePixels(tilePixels, tileSize, template, tile, templateStats);}
+        }
+        return templateStats;
+      });
+
+      return { result: { stats }, transfer: [] };
+    },
+
+    /** Draws templates on a tile, and counts the painted, required, and wrong pixels of each template on the tile.
+     * The templates must be cached by the index job first.
+     * @param {Object} data
+     * @param {Blob} data.tileBlob - The tile image from the server
+     * @param {number} data.tileSize - The size of a tile in pixels
+     * @param {number} data.drawMult - The scale to draw the tile at (must be odd)
+     * @param {string} [data.renderMode='full'] - Which template pixels to draw. "full" (every pixel), "missing" (unpainted), "wrong" (painted with the wrong color), or "correct" (painted with the correct color)
+     * @param {string} [data.renderStyle='dot'] - How each template pixel is drawn. "dot" (the middle pixel), "full" (the whole pixel, at `opacity`), "outline" (the edge), "crosshair" (the middle row and column), or "symbol" (the whole pixel, with a symbol for the color)
+     * @param {number} [data.opacity=0.5] - The opacity of the "full" render style, from 0 to 1
+     * @param {Array<{id: number, tileNames: Array<string>, disabledColors: Array<string>, opacity: number, blend: string}>} data.templates - The templates to draw, lowest draw priority first. "opacity" is from 0 to 1, and "blend" is "normal", "grayscale" (drawn in gray), or "yellow-edge" (a yellow edge around every pixel)
+     * @since 0.85.9
+     */
+    async 'draw'({ tileBlob, tileSize, drawMult, renderMode = 'full', renderStyle = 'dot', opacity = 0.5, templates }) {
+
+      const renderStatus = { missing: PIXEL_MISSING, wrong: PIXEL_WRONG, correct: PIXEL_PAINTED }[renderMode]; // Undefined draws every pixel
+
+      const drawSize = tileSize * drawMult; // Calculate draw multiplier for scaling
+
+      // Grab a snapshot of the tile pixels BEFORE we draw any template overlays
+      // Read at 1x scale, since templates are compared one pixel per shread block
+      const { tileBitmap, tilePixels } = await readTile(tileBlob, tileSize);
+
+      const canvas = new OffscreenCanvas(drawSize, drawSize);
+      const context = canvas.getContext('2d');
+
+      context.imageSmoothingEnabled = false; // Nearest neighbor
+
+      // Tells the canvas to ignore anything outside of this area
+      context.beginPath();
+      context.rect(0, 0, drawSize, drawSize);
+      context.clip();
+
+      context.clearRect(0, 0, drawSize, drawSize); // Draws transparent background
+      context.drawImage(tileBitmap, 0, 0, drawSize, drawSize);
+      tileBitmap.close();
+
+      const stats = templates.map(() => ({ painted: 0, required: 0, missing: 0, wrong: 0, erase: 0, erased: 0, colors: {}, damaged: 0, damage: [] })); // Per-template stats for this tile
+
+      // For each template in this tile, draw them.
+      for (let templateIndex = 0; templateIndex < templates.length; templateIndex++) {
+
+        const { id, tileNames, disabledColors, opacity: templateOpacity = 1, blend = 'normal' } = templates[templateIndex];
+        const template = cache.get(id);
+        const templateStats = stats[templateIndex];
+        const look = { style: renderStyle, opacity, blend };
+
+        if (!template) {throw new Error(`The pixels of template ${id} are not cached`);}
+
+        // The tile bitmaps are only drawn again when the color filter, render style, or blend changes
+        const filter = `${renderStyle} ${drawMult} ${opacity} ${blend}|${[...disabledColors].sort().join(' ')}`;
+        if (template.filter !== filter) {
+          const disabled = new Set(disabledColors);
+          template.hidden = Uint8Array.from(template.colors, color => disabled.has(color.key) ? 1 : 0);
+          template.filter = filter;
+          for (const tile of template.tiles.values()) {
+            tile.bitmap?.close();
+            tile.bitmap = null;
+          }
+        }
+
+        context.globalAlpha = Math.min(Math.max(templateOpacity, 0), 1); // The opacity of the whole template
+
+        for (const tileName of tileNames) {
+
+          const tile = template.tiles.get(tileName);
+          if (!tile) { continue; }
+
+          // Compare the template pixels against the tile pixels
+          if (tilePixels) {
+            countTemplatePixels(tilePixels, tileSize, template, tile, templateStats);
+          }
+
+          // Only some pixels are drawn, depending on what is painted on the tile. So the bitmap can not be cached
+          if (renderStatus !== undefined && tilePixels) {
+            const bitmap = await drawComparedTile(tilePixels, tileSize, template, tile, drawMult, look, renderStatus);
+            context.drawImage(bitmap, tile.pixelX * drawMult, tile.pixelY * drawMult);
+            bitmap.close();
+            continue;
+          }
+
+          tile.bitmap ??= await drawCachedTile(tile, template, drawMult, look);
+          context.drawImage(tile.bitmap, tile.pixelX * drawMult, tile.pixelY * drawMult);
+        }
+
+        context.globalAlpha = 1;
+      }
+
+      const blob = await canvas.convertToBlob({ type: 'image/png' });
+
+      return { result: { blob, stats }, transfer: [] };
+    },
+  };
+}
@@ -72,6 +72,131 @@ export function consoleError(...args) {((consoleError) => consoleError(...args))
  */
 export function consoleWarn(...args) {((consoleWarn) => consoleWarn(...args))(console.warn);}
 
+/** Converts a global pixel coordinate into the tile-pixel coordinate system used by templates.
+ * Global coordinates count pixels from the top left corner of the entire canvas.
+ * @param {number} x - The global X coordinate
+ * @param {number} y - The global Y coordinate
+ * @param {number} [tileSize=1000] - The size of a tile in pixels (assumes square tiles)
+ * @returns {number[]} [tileX, tileY, pixelX, pixelY]
+ * @since 0.85.5
+ * @example
+ * console.log(globalToTilePixel(1231183, 47593)); // [1231, 47, 183, 593]
+ */
+export function globalToTilePixel(x, y, tileSize = 1000) {
+  return [Math.floor(x / tileSize), Math.floor(y / tileSize), negativeSafeModulo(x, tileSize), negativeSafeModulo(y, tileSize)];
+}
+
+/** Converts a tile-pixel coordinate into the latitude and longitude of the center of the pixel on the map.
+ * The canvas is a Web Mercator map that is `tileCount` tiles wide and tall.
+ * @param {number[]} coords - [tileX, tileY, pixelX, pixelY]
+ * @param {number} [tileSize=1000] - The size of a tile in pixels (assumes square tiles)
+ * @param {number} [tileCount=2048] - The number of tiles across the canvas
+ * @returns {{lat: number, lng: number}} The latitude and longitude
+ * @since 0.85.16
+ * @example
+ * console.log(tilePixelToLatLng([1024, 1024, 0, 0])); // {lat: -0.0000879, lng: 0.0000879}
+ */
+export function tilePixelToLatLng(coords, tileSize = 1000, tileCount = 2048) {
+  const size = tileSize * tileCount; // The size of the canvas in pixels
+  const x = (coords[0] * tileSize + coords[2] + 0.5) / size;
+  const y = (coords[1] * tileSize + coords[3] + 0.5) / size;
+  return {
+    lat: Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI,
+    lng: x * 360 - 180
+  };
+}
+
+/** Finds coordinates written in text, such as a file name or a coordinate file.
+ * Four numbers are read as (tileX, tileY, pixelX, pixelY). Two numbers are read as global (x, y) coordinates.
+ * Only the last numbers in the text are used, so names like "Art v2 (1231, 47, 183, 593)" work.
+ * Numbers outside of the canvas are not coordinates, so names like "IMG_20240101_123456" and "-5 3" are ignored.
+ * @param {string} text - The text to search
+ * @param {number} [tileSize=1000] - The size of a tile in pixels (assumes square tiles)
+ * @param {number} [tileCount=2048] - The number of tiles across the canvas (assumes a square canvas)
+ * @returns {number[]|null} [tileX, tileY, pixelX, pixelY], or null if no coordinates on the canvas were found
+ * @since 0.85.5
+ * @example
+ * console.log(parseCoordsFromText('MyArt_1231_47_183_593')); // [1231, 47, 183, 593]
+ * console.log(parseCoordsFromText('x=1231183 y=47593')); // [1231, 47, 183, 593]
+ * console.log(parseCoordsFromText('IMG_20240101_123456')); // null
+ * console.log(parseCoordsFromText('-5 3')); // null
+ */
+export function parseCoordsFromText(text, tileSize = 1000, tileCount = 2048) {
+
+  // A minus is a sign, unless it joins the number to a word or another number (e.g. "MyArt-1231-47-183-593")
+  const numbers = (text.match(/(?:(?<![a-z\d])-)?\d+/gi) || []).map(Number);
+
+  // Four numbers at the end of the text are tile-pixel coordinates
+  if (numbers.length >= 4) {
+    const [tileX, tileY, pixelX, pixelY] = numbers.slice(-4);
+    if (Math.min(tileX, tileY, pixelX, pixelY) < 0) {return null;}
+    if (tileX >= tileCount || tileY >= tileCount || pixelX >= tileSize || pixelY >= tileSize) {return null;}
+    return [tileX, tileY, pixelX, pixelY];
+  }
+
+  // Exactly two numbers are global coordinates
+  if (numbers.length == 2) {
+    if (Math.min(...numbers) < 0) {return null;}
+    if (numbers[0] >= tileSize * tileCount || numbers[1] >= tileSize * tileCount) {return null;}
+    return globalToTilePixel(numbers[0], numbers[1], tileSize);
+  }
+
+  return null;
+}
+
+/** Compares two version strings (e.g. "1.13.0").
+ * Missing parts are treated as 0, so "2.1" equals "2.1.0".
+ * @param {string} versionA - The first version
+ * @param {string} versionB - The second version
+ * @returns {number} Negative if A is older than B, positive if A is newer than B, and 0 if they are the same
+ * @since 0.85.6
+ * @example
+ * console.log(compareVersions('1.0.0', '2.1.0')); // -1
+ * console.log(compareVersions('2.1.0', '2.1')); // 0
+ */
+export function compareVersions(versionA, versionB) {
+  const partsA = String(versionA).split('.').map(Number);
+  const partsB = String(versionB).split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference != 0) {return Math.sign(difference);}
+  }
+  return 0;
+}
+
+/** Formats a duration as days, hours, and minutes.
+ * @param {number} milliseconds - The duration in milliseconds
+ * @returns {string} The formatted duration. E.g. "2d 3h", "3h 20m", or "5m"
+ * @since 0.85.15
+ * @example
+ * console.log(formatDuration(12000000)); // "3h 20m"
+ */
+export function formatDuration(milliseconds) {
+  const minutes = Math.max(0, Math.round(milliseconds / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+
+  if (days > 0) {return `${days}d ${hours}h`;}
+  if (hours > 0) {return `${hours}h ${minutes % 60}m`;}
+  return `${minutes}m`;
+}
+
+/** Estimates what it costs to paint some pixels.
+ * Wplace gives one charge every 30 seconds, and sells 30 charges for 500 droplets.
+ * @param {number} pixelCount - The pixels to paint
+ * @param {number} [cooldownMs=30000] - The milliseconds it takes to get one charge
+ * @returns {{time: number, droplets: number}} The milliseconds it takes to get the charges by waiting, or the droplets it takes to buy them
+ * @since 0.85.21
+ * @example
+ * console.log(estimatePaintCost(120)); // {time: 3600000, droplets: 2000}
+ */
+export function estimatePaintCost(pixelCount, cooldownMs = 30000) {
+  return {
+    time: pixelCount * cooldownMs,
+    droplets: Math.ceil(pixelCount / 30) * 500
+  };
+}
+
 /** Encodes a number into a custom encoded string.
  * @param {number} number - The number to encode
  * @param {string} encoding - The characters to use when encoding
@@ -127,12 +252,70 @@ export function base64ToUint8(base64) {
   return array;
 }
 
+/** Makes the browser download a file.
+ * @param {Blob} blob - The contents of the file
+ * @param {string} fileName - The name of the downloaded file
+ * @since 0.85.3
+ * @example
+ * downloadBlob(new Blob(['Foobar.'], { type: 'text/plain' }), 'foobar.txt');
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob); // Creates a blob URL
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click(); // Starts the download
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 60000); // Destroys the blob 1 minute later
+}
+
+/** Requests a file from any website, bypassing the cross-origin restrictions of the page.
+ * This uses TamperMonkey's `GM_xmlhttpRequest`, so the user might be asked to allow the connection.
+ * @param {string} url - The URL of the file
+ * @returns {Promise<Blob>} The file as a blob. If the server does not respond with 2xx, the error has the `status`
+ * @since 0.85.4
+ * @example
+ * const blob = await requestBlob('https://example.com/template.png');
+ */
+export function requestBlob(url) {
+  return new Promise((resolve, reject) => {
+    GM_xmlhttpRequest({
+      method: 'GET',
+      url: url,
+      responseType: 'blob',
+      onload: (response) => {
+        if (response.status < 200 || response.status >= 300) {
+          const error = new Error(`Request to ${url} failed with status ${response.status}`);
+          error.status = response.status; // Lets the caller handle statuses like 404 differently
+          reject(error);
+          return;
+        }
+        resolve(response.response);
+      },
+      onerror: (error) => reject(error),
+      ontimeout: () => reject(new Error(`Request to ${url} timed out`))
+    });
+  });
+}
+
+/** Hashes a blob with SHA-256.
+ * Useful for detecting if a file has changed without comparing the whole file.
+ * @param {Blob} blob - The blob to hash
+ * @returns {Promise<string>} The hash as a hexadecimal string
+ * @since 0.85.4
+ */
+export async function hashBlob(blob) {
+  const hash = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(hash)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
 /** Returns the coordinate input fields
  * @returns {Element[]} The 4 coordinate Inputs
  * @since 0.74.0
  */
 export function selectAllCoordinateInputs(document) {
-  coords = [];
+  const coords = [];
 
   coords.push(document.querySelector('#bm-input-tx'));
   coords.push(document.querySelector('#bm-input-ty'));
@@ -0,0 +1,213 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { colorpalette } from '../src/utils.js';
+
+// The userscript storage and requests
+const storage = new Map();
+globalThis.GM_getValue = (key, fallback) => storage.has(key) ? storage.get(key) : fallback;
+globalThis.GM = { setValue: async (key, value) => {storage.set(key, value);} };
+globalThis.GM_xmlhttpRequest = ({ url, onload, onerror }) => {
+  if (url.includes('broken')) {onerror(new Error(`${url} is broken`)); return;}
+  onload({ status: 200, response: new Blob([url]) });
+};
+globalThis.window ??= { postMessage() {} };
+
+// Images are stored as JSON instead of PNG, so a canvas only needs to copy pixels
+globalThis.OffscreenCanvas = class {
+  constructor(width, height) {this.width = width; this.height = height; this.pixels = new Uint8ClampedArray(width * height * 4);}
+  getContext() {
+    const canvas = this;
+    return {
+      createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+      drawImage: (bitmap) => {canvas.pixels = Uint8ClampedArray.from(bitmap.pixels);},
+      getImageData: () => ({ data: canvas.pixels }),
+      putImageData: (image) => {canvas.pixels = image.data;}
+    };
+  }
+  async convertToBlob() {return new Blob([JSON.stringify({ width: this.width, height: this.height, pixels: [...this.pixels] })]);}
+};
+globalThis.createImageBitmap = async (blob) => JSON.parse(await blob.text());
+
+const { default: TemplateManager } = await import('../src/templateManager.js');
+const { default: Template } = await import('../src/Template.js');
+
+/** Creates a template manager that remembers what it showed the user */
+function createManager() {
+  storage.clear();
+  const overlay = { errors: [], statuses: [], handleDisplayError(text) {this.errors.push(text);}, handleDisplayStatus(text) {this.statuses.push(text);} };
+  return new TemplateManager('Blue Marble', '0.85.0', overlay);
+}
+
+/** Encodes an image the way the fake canvas stores it */
+function encodeImage(width, height, pixels) {
+  return Buffer.from(JSON.stringify({ width, height, pixels })).toString('base64');
+}
+
+test('stored templates are migrated from schema 1.0.0 to the current schema, and backed up', async () => {
+  const manager = createManager();
+
+  // A 3x3 shread block of black, next to a #deface block whose center pixel is white
+  const pixels = new Array(6 * 3 * 4).fill(0);
+  for (let y = 0; y < 3; y++) {
+    for (let x = 0; x < 6; x++) {
+      const index = (y * 6 + x) * 4;
+      if (x < 3) {pixels[index + 3] = 255; continue;}
+      const shade = (x + y) % 2 === 0 ? 0 : 255;
+      pixels.splice(index, 4, shade, shade, shade, 32);
+    }
+  }
+  const storedText = JSON.stringify({
+    whoami: 'BlueMarble',
+    templates: {
+      '0 $Z': { name: 'Old', coords: '1, 2, 10, 20', tiles: { '0001,0002,010,020': encodeImage(6, 3, pixels) } },
+      '1 $Z': { name: 'Hidden', coords: [1, 2, 30, 40], enabled: false }
+    }
+  });
+  storage.set('bmTemplates', storedText);
+
+  let importedJSON = null;
+  manager.importJSON = async (json) => {importedJSON = json; return new Map();};
+  await manager.loadStoredTemplates();
+
+  assert.equal(storage.get('bmTemplatesBackup'), storedText);
+  assert.equal(importedJSON.schemaVersion, '3.0.0');
+
+  const [old, hidden] = [importedJSON.templates['0 $Z'], importedJSON.templates['1 $Z']];
+  assert.deepEqual(old.coords, [1, 2, 10, 20]);
+  assert.equal(old.enabled, true);
+  assert.equal(old['tiles'], undefined);
+  const image = JSON.parse(Buffer.from(old.image, 'base64').toString());
+  assert.deepEqual([image.width, image.height], [2, 1]);
+  assert.deepEqual(image.pixels, [0, 0, 0, 255, 222, 250, 206, 255]); // The #deface pixel is kept
+  assert.equal(hidden.enabled, false);
+});
+
+test('templates from a newer major schema are refused, and are never overwritten', async () => {
+  const manager = createManager();
+  const storedText = JSON.stringify({ whoami: 'BlueMarble', schemaVersion: '4.0.0', templates: {} });
+  storage.set('bmTemplates', storedText);
+
+  await manager.loadStoredTemplates();
+
+  assert.equal(manager.isStorageLocked, true);
+  assert.match(manager.overlay.errors[0], /schema 4\.0\.0/);
+
+  // Deleting a template would store the templates, which would overwrite the newer templates
+  manager.templatesArray.push(Object.assign(new Template({ displayName: 'Loaded' }), { storageKey: '0 $Z' }));
+  await manager.deleteTemplate('0 $Z');
+  assert.equal(storage.get('bmTemplates'), storedText);
+  assert.match(manager.overlay.errors.at(-1), /Templates were not saved/);
+
+  assert.equal((await manager.importJSON({ whoami: 'BlueMarble', schemaVersion: '4.1.0', templates: {} })).size, 0);
+});
+
+test('templates from a newer minor schema are read as they are', async () => {
+  const manager = createManager();
+  storage.set('bmTemplates', JSON.stringify({ whoami: 'BlueMarble', schemaVersion: '3.1.0', templates: {}, future: true }));
+
+  let importedJSON = null;
+  manager.importJSON = async (json) => {importedJSON = json; return new Map();};
+  await manager.loadStoredTemplates();
+
+  assert.equal(manager.isStorageLocked, false);
+  assert.equal(importedJSON.schemaVersion, '3.1.0');
+  assert.equal(importedJSON.future, true);
+  assert.equal(storage.has('bmTemplatesBackup'), false);
+});
+
+/** Replaces template creation with a list of the templates that would be created */
+function recordCreatedTemplates(manager) {
+  const created = [];
+  manager.createTemplate = async (blob, name, coords) => {
+    created.push({ name, coords, source: await blob.text() });
+    return { name };
+  };
+  return created;
+}
+
+test('OSU! Place templates are placed at their global coordinates, trying every source', async () => {
+  const manager = createManager();
+  const created = recordCreatedTemplates(manager);
+
+  const imported = await manager.importJSON({ templates: [
+    { name: 'Mirrored', sources: ['https://broken.example/a.png', 'https://example.com/a.png'], x: 1231183, y: 47593 },
+    { name: 'No sources', sources: [], x: 0, y: 0 },
+    { name: 'No coordinates', sources: ['https://example.com/b.png'] }
+  ] });
+
+  assert.deepEqual([...imported.keys()], ['0']);
+  assert.deepEqual(created, [{ name: 'Mirrored', coords: [1231, 47, 183, 593], source: 'https://example.com/a.png' }]);
+});
+
+test('Overlay Pro overlays are placed at their pixel URL, moved by their offset', async () => {
+  const manager = createManager();
+  const created = recordCreatedTemplates(manager);
+
+  const imported = await manager.importJSON({ 'overlays': [
+    { 'name': 'Embedded', 'pixelUrl': 'https://backend.wplace.live/s0/pixel/1231/47?x=183&y=593', 'offsetX': 2, 'offsetY': -3, 'imageBase64': `data:image/png;base64,${btoa('embedded')}` },
+    { 'name': 'Linked', 'pixelUrl': 'https://backend.wplace.live/s0/pixel/1231/47?x=999&y=0', 'offsetX': 1, 'imageUrl': 'https://example.com/c.png' }
+  ] });
+
+  assert.equal(imported.size, 2);
+  assert.deepEqual(created, [
+    { name: 'Embedded', coords: [1231, 47, 185, 590], source: 'embedded' },
+    { name: 'Linked', coords: [1232, 47, 0, 0], source: 'https://example.com/c.png' } // The offset moves the overlay onto the next tile
+  ]);
+});
+
+test('images are placed by their coordinate file, or by their file name', async () => {
+  const manager = createManager();
+  const created = recordCreatedTemplates(manager);
+  const image = (name) => new File(['image'], name, { type: 'image/png' });
+  const text = (name, contents) => new File([contents], name, { type: 'text/plain' });
+
+  await manager.importTemplateFiles([
+    image('tiles.png'), text('tiles.json', JSON.stringify({ 'tx': 1231, 'ty': 47, 'px': 183, 'py': 593 })),
+    image('list.png'), text('list.json', JSON.stringify({ 'coords': [1, 2, 3, 4] })),
+    image('global.png'), text('global.txt', JSON.stringify({ 'x': 1231183, 'y': 47593 })),
+    image('plain.png'), text('plain.txt', 'Paste at 5, 6, 7, 8'),
+    image('Castle_1231_47_183_593.png'),
+    image('negative.png'), text('negative.json', JSON.stringify({ 'x': -5, 'y': 3 })),
+    image('offcanvas.png'), text('offcanvas.json', JSON.stringify({ 'tx': 2048, 'ty': 0, 'px': 0, 'py': 0 })),
+    image('nothing.png')
+  ]);
+
+  assert.deepEqual(created.map(({ name, coords }) => [name, coords]), [
+    ['tiles', [1231, 47, 183, 593]],
+    ['list', [1, 2, 3, 4]],
+    ['global', [1231, 47, 183, 593]],
+    ['plain', [5, 6, 7, 8]],
+    ['Castle', [1231, 47, 183, 593]] // The coordinates are removed from the name
+  ]);
+  assert.equal(manager.overlay.errors.length, 3);
+});
+
+test('the paint plan counts the pixels left, the pixels blocked by premium colors, and the charges needed', async () => {
+  const manager = createManager();
+  const premium = colorpalette.find(color => color.premium).rgb.join(',');
+
+  const template = new Template({ displayName: 'Plan' });
+  template.requiredPixelCount = 100;
+  template.defacePixelCount = 10;
+  template.colorPalette = { '0,0,0': { count: 60, enabled: true }, [premium]: { count: 40, enabled: true }, '222,250,206': { count: 10, enabled: true } };
+  template.tileProgress.set('0001,0002', { painted: 20, required: 20, missing: 0, wrong: 0, erased: 0, checkedAt: 0, colors: { '0,0,0': { painted: 20, required: 20, missing: 0, wrong: 0 } } });
+  const disabled = new Template({ displayName: 'Disabled', enabled: false });
+  disabled.requiredPixelCount = 1000;
+  manager.templatesArray.push(template, disabled);
+
+  assert.equal(manager.getPaintPlan(), null); // The charges are not known yet
+
+  manager.setOwnedColors(0); // No premium colors
+  manager.setCharges({ 'count': 20, 'max': 50, 'cooldownMs': 30000 });
+  const plan = manager.getPaintPlan(manager.charges.time + 60000); // 2 charges were given since
+
+  assert.equal(plan.charges, 22);
+  assert.equal(plan.timeUntilFull, 28 * 30000);
+  assert.equal(plan.remaining, 90); // 80 pixels to paint, and 10 to erase
+  assert.equal(plan.blocked, 40);
+  assert.equal(plan.sessions, 2); // 22 charges now, then 28 after the charges are full once
+  assert.equal(plan.timeToFinish, 28 * 30000);
+  assert.equal(plan.chargeDroplets, 500);
+  assert.deepEqual(plan.premiumColors, [premium]);
+  assert.equal(plan.colorDroplets, 2000);
+});
@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTemplateJobs } from '../src/templateWorker.js';
+
+// The jobs only need to read the pixels of a bitmap, so a canvas that hands back the pixels it was drawn with is enough
+globalThis.OffscreenCanvas ??= class {
+  constructor(width, height) {this.width = width; this.height = height;}
+  getContext() {
+    const canvas = this;
+    return {
+      drawImage(bitmap) {canvas.pixels = bitmap.pixels;},
+      getImageData() {return { data: canvas.pixels };},
+      putImageData(image) {canvas.pixels = image.data;},
+      beginPath() {}, rect() {}, clip() {}, clearRect() {}
+    };
+  }
+  async convertToBlob() {return createBitmap(this.width, this.height, this.pixels);}
+};
+globalThis.ImageData ??= class {
+  constructor(width, height) {this.width = width; this.height = height; this.data = new Uint8ClampedArray(width * height * 4);}
+};
+
+// Tiles are passed to the jobs as bitmaps instead of PNG blobs. Bitmaps drawn by the jobs are remembered
+const drawnBitmaps = [];
+globalThis.createImageBitmap ??= async (source) => {
+  if (!(source instanceof ImageData)) {return source;}
+  const bitmap = createBitmap(source.width, source.height, source.data);
+  drawnBitmaps.push(bitmap);
+  return bitmap;
+};
+
+/** Creates a bitmap from its pixels */
+function createBitmap(width, height, pixels) {
+  return { width, height, pixels, close() {} };
+}
+
+/** Creates a tile with some pixels painted.
+ * @param {number} tileSize - The size of the tile in pixels
+ * @param {Object<string, string>} paint - The color painted at each pixel, as "x,y" -> "r,g,b"
+ */
+function paintTile(tileSize, paint) {
+  const pixels = new Uint8ClampedArray(tileSize * tileSize * 4);
+  for (const [pixel, color] of Object.entries(paint)) {
+    const [x, y] = pixel.split(',').map(Number);
+    pixels.set([...color.split(',').map(Number), 255], (y * tileSize + x) * 4);
+  }
+  return createBitmap(tileSize, tileSize, pixels);
+}
+
+/** Shreads a template tile the way the "chunk" job does. #deface pixels become a translucent black and white checkerboard.
+ * @param {Array<Array<string|null>>} rows - The template pixels as "r,g,b", "deface", or null for transparent
+ * @param {number} shreadSize - The scale to shread at
+ */
+function shreadTile(rows, shreadSize) {
+  const width = rows[0].length * shreadSize;
+  const height = rows.length * shreadSize;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const center = (shreadSize - 1) / 2;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = rows[Math.floor(y / shreadSize)][Math.floor(x / shreadSize)];
+      const index = (y * width + x) * 4;
+      if (color == 'deface') {
+        const shade = (x + y) % 2 === 0 ? 0 : 255;
+        pixels.set([shade, shade, shade, 32], index);
+      } else if (color && x % shreadSize == center && y % shreadSize == center) {
+        pixels.set([...color.split(',').map(Number), 255], index);
+      }
+    }
+  }
+
+  return createBitmap(width, height, pixels);
+}
+
+test('index counts #deface pixels at both phases of the checkerboard', async () => {
+  const jobs = createTemplateJobs();
+
+  // The center pixel of a block is black when the block's X + Y is even, and white when it is odd
+  const bitmap = shreadTile([
+    ['deface', 'deface', '0,0,0'],
+    ['deface', null, 'deface']
+  ], 3);
+
+  const { result } = await jobs['index']({ id: 1, shreadSize: 3, allowedColors: ['0,0,0'], tiles: [{ name: '0001,0002,010,020', bitmap }] });
+
+  assert.equal(result.requiredPixelCount, 1);
+  assert.deepEqual(result.palette, { '222,250,206': 4, '0,0,0': 1 });
+
+  for (const [x, y] of [[10, 20], [11, 20], [10, 21], [12, 21]]) {
+    const { result: pixel } = await jobs['inspect']({ id: 1, tilePrefix: '0001,0002', x, y });
+    assert.deepEqual(pixel, { key: '222,250,206', isDeface: true }, `pixel ${x}, ${y}`);
+  }
+});
+
+test('measure counts every #deface pixel as erased on an empty tile', async () => {
+  const jobs = createTemplateJobs();
+
+  const bitmap = shreadTile([
+    ['deface', 'deface', '0,0,0'],
+    ['deface', null, 'deface']
+  ], 3);
+  await jobs['index']({ id: 1, shreadSize: 3, allowedColors: ['0,0,0'], tiles: [{ name: '0001,0002,010,020', bitmap }] });
+
+  const { result } = await jobs['measure']({ tileBlob: null, tileSize: 1000, templates: [{ id: 1, tileNames: ['0001,0002,010,020'] }] });
+  const [stats] = result.stats;
+
+  assert.equal(stats.erase, 4);
+  assert.equal(stats.erased, 4);
+  assert.equal(stats.required, 1);
+  assert.equal(stats.missing, 1);
+});
+
+test('measure finds pixels that were done, then damaged, since the tile was last measured', async () => {
+  const jobs = createTemplateJobs();
+
+  const bitmap = shreadTile([['0,0,0', '255,255,255', 'deface']], 3);
+  await jobs['index']({ id: 1, shreadSize: 3, allowedColors: ['0,0,0', '255,255,255'], tiles: [{ name: '0000,0000,001,002', bitmap }] });
+  const measure = async (paint) => (await jobs['measure']({ tileBlob: paintTile(10, paint), tileSize: 10, templates: [{ id: 1, tileNames: ['0000,0000,001,002'] }] })).result.stats[0];
+
+  // Nothing is damaged the first time, since nothing was done before
+  const first = await measure({ '1,2': '0,0,0', '2,2': '255,255,255' });
+  assert.deepEqual([first.painted, first.erased, first.damaged], [2, 1, 0]);
+
+  const second = await measure({ '1,2': '255,0,0', '3,2': '0,0,0' });
+  assert.deepEqual([second.painted, second.missing, second.wrong], [0, 1, 2]);
+  assert.equal(second.damaged, 3);
+  assert.deepEqual(second.damage, [
+    { x: 1, y: 2, oldColor: '0,0,0', newColor: '255,0,0' },
+    { x: 2, y: 2, oldColor: '255,255,255', newColor: null },
+    { x: 3, y: 2, oldColor: null, newColor: '0,0,0' } // #deface pixels were transparent
+  ]);
+
+  // Pixels that stay damaged are only counted once
+  assert.equal((await measure({ '1,2': '255,0,0', '3,2': '0,0,0' })).damaged, 0);
+});
+
+test('draw only draws the template tiles again when the enabled colors change', async () => {
+  const jobs = createTemplateJobs();
+
+  const bitmap = shreadTile([['0,0,0', '255,255,255']], 3);
+  await jobs['index']({ id: 1, shreadSize: 3, allowedColors: ['0,0,0', '255,255,255'], tiles: [{ name: '0000,0000,000,000', bitmap }] });
+  const draw = (disabledColors) => jobs['draw']({ tileBlob: paintTile(10, {}), tileSize: 10, drawMult: 3, templates: [{ id: 1, tileNames: ['0000,0000,000,000'], disabledColors }] });
+  const centerColors = (tile) => [1, 4].map(x => [...tile.pixels.subarray((tile.width + x) * 4, (tile.width + x) * 4 + 4)].join(',')); // The middle row of the 3x scale tile
+
+  drawnBitmaps.length = 0;
+  await draw([]);
+  await draw([]);
+  assert.equal(drawnBitmaps.length, 1);
+  assert.deepEqual(centerColors(drawnBitmaps[0]), ['0,0,0,255', '255,255,255,255']);
+
+  await draw(['0,0,0']);
+  await draw(['0,0,0']);
+  assert.equal(drawnBitmaps.length, 2);
+  assert.deepEqual(centerColors(drawnBitmaps[1]), ['0,0,0,0', '255,255,255,255']); // The disabled color is not drawn
+
+  await draw([]);
+  assert.equal(drawnBitmaps.length, 3);
+});
+
+test('quantize converts each pixel to the nearest palette color', async () => {
+  const jobs = createTemplateJobs();
+  const palette = [[0, 0, 0], [255, 255, 255]];
+
+  // Near black, near white, #deface, translucent, and mostly transparent
+  const pixels = Uint8ClampedArray.from([20, 10, 30, 255, 240, 250, 230, 255, 222, 250, 206, 255, 0, 0, 0, 128, 9, 9, 9, 20]);
+  const { result } = await jobs['quantize']({ bitmap: createBitmap(5, 1, pixels), palette });
+
+  assert.deepEqual([...result.blob.pixels], [0, 0, 0, 255, 255, 255, 255, 255, 222, 250, 206, 255, 0, 0, 0, 255, 9, 9, 9, 0]);
+  assert.equal(result.pixelCount, 4);
+  assert.equal(result.changedPixelCount, 4); // The #deface pixel was already a palette color
+});
+
+test('quantize dithers colors between palette colors', async () => {
+  const jobs = createTemplateJobs();
+  const palette = [[0, 0, 0], [255, 255, 255]];
+  const gray = () => createBitmap(8, 8, new Uint8ClampedArray(8 * 8 * 4).fill(128));
+  const shades = (blob) => new Set(blob.pixels.filter((_, index) => index % 4 == 0));
+
+  const plain = (await jobs['quantize']({ bitmap: gray(), palette })).result;
+  assert.deepEqual(shades(plain.blob), new Set([255])); // Gray is closer to white in Lab
+
+  for (const dither of ['floyd-steinberg', 'ordered']) {
+    const { blob } = (await jobs['quantize']({ bitmap: gray(), palette, dither })).result;
+    assert.deepEqual(shades(blob), new Set([0, 255]), dither);
+  }
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareVersions, estimatePaintCost, formatDuration, parseCoordsFromText } from '../src/utils.js';
+
+test('parseCoordsFromText reads tile-pixel and global coordinates', () => {
+  assert.deepEqual(parseCoordsFromText('MyArt_1231_47_183_593'), [1231, 47, 183, 593]);
+  assert.deepEqual(parseCoordsFromText('MyArt-1231-47-183-593'), [1231, 47, 183, 593]); // Minus signs between numbers are separators
+  assert.deepEqual(parseCoordsFromText('Art v2 (1231, 47, 183, 593)'), [1231, 47, 183, 593]); // Only the last four numbers are used
+  assert.deepEqual(parseCoordsFromText('x=1231183 y=47593'), [1231, 47, 183, 593]);
+  assert.equal(parseCoordsFromText('Art v2 5 3'), null); // Three numbers are neither
+});
+
+test('parseCoordsFromText refuses coordinates off the canvas', () => {
+  assert.equal(parseCoordsFromText('IMG_20240101_123456'), null);
+  assert.equal(parseCoordsFromText('2048 0 0 0'), null); // Tile past the last tile
+  assert.equal(parseCoordsFromText('0 0 1000 0'), null); // Pixel past the edge of the tile
+  assert.equal(parseCoordsFromText('2048000 0'), null); // Global coordinate past the edge of the canvas
+  assert.equal(parseCoordsFromText('-5 3'), null);
+  assert.equal(parseCoordsFromText('x=5 y=-3'), null);
+  assert.equal(parseCoordsFromText('1231 47 -183 593'), null);
+  assert.deepEqual(parseCoordsFromText('2047 2047 999 999'), [2047, 2047, 999, 999]);
+});
+
+test('compareVersions compares each part as a number', () => {
+  assert.equal(compareVersions('1.0.0', '2.1.0'), -1);
+  assert.equal(compareVersions('2.1.0', '2.1'), 0);
+  assert.equal(compareVersions('1.10.0', '1.9.0'), 1);
+  assert.equal(compareVersions('3.0.0', '3.0.1'), -1);
+});
+
+test('formatDuration rounds to minutes, and shows the two largest units', () => {
+  assert.equal(formatDuration(0), '0m');
+  assert.equal(formatDuration(-60000), '0m');
+  assert.equal(formatDuration(29000), '0m');
+  assert.equal(formatDuration(90 * 60000), '1h 30m');
+  assert.equal(formatDuration((2 * 1440 + 3 * 60 + 59) * 60000), '2d 3h');
+});
+
+test('estimatePaintCost counts the time to regenerate, and the droplets to buy, the charges', () => {
+  assert.deepEqual(estimatePaintCost(0), { time: 0, droplets: 0 });
+  assert.deepEqual(estimatePaintCost(30), { time: 900000, droplets: 500 });
+  assert.deepEqual(estimatePaintCost(31, 1000), { time: 31000, droplets: 1000 }); // Charges are bought 30 at a time
+});